@@ -43,6 +43,9 @@
   // `clayer.isTouch` is true or false depending on whether the browser supports touch events.
   clayer.isTouch = ('ontouchstart' in document.documentElement);
 
+  // `clayer.hasPointerEvents` is true when the browser supports Pointer Events, in which case `clayer.Touchable` uses those instead of separate mouse and touch events.
+  clayer.hasPointerEvents = !!window.PointerEvent;
+
   // When `clayer.initBody()` is called, the body element is given a `clayer-body-touch` or `clayer-body-mouse` class, depending on `clayer.isTouch`.
   clayer.initBody = function() {
     if (clayer.isTouch) {
@@ -55,6 +58,10 @@
   // ## Touchable
   // `clayer.Touchable` provides an abstraction over touch and mouse events.
   // We make a distinction between hover and touch/click events. First we look at the latter.
+  // When Pointer Events are available they are used for mouse, touch and pen alike, and the pointer is captured while it is down.
+  //
+  // By default only one touch is tracked at a time. After `setMultiTouch(true)` every finger gets its own `clayer.PositionEvent`, kept in `touchEvents` by identifier.
+  // The callbacks always get the touch identifier (or pointer id, or `'mouse'`) as second argument.
   //
   clayer.Touchable = function() { return this.init.apply(this, arguments); };
   clayer.Touchable.prototype = {
@@ -71,6 +78,17 @@
       this.touchEnd = $.proxy(this.touchEnd, this);
       this.hoverMove = $.proxy(this.hoverMove, this);
       this.hoverLeave = $.proxy(this.hoverLeave, this);
+      this.pointerDown = $.proxy(this.pointerDown, this);
+      this.pointerMove = $.proxy(this.pointerMove, this);
+      this.pointerUp = $.proxy(this.pointerUp, this);
+      this.pointerHoverMove = $.proxy(this.pointerHoverMove, this);
+      this.pointerHoverLeave = $.proxy(this.pointerHoverLeave, this);
+
+      this.pointerEvents = {
+        pointermove: this.pointerMove,
+        pointerup: this.pointerUp,
+        pointercancel: this.pointerUp
+      };
 
       this.documentEvents = {
         mousemove: this.mouseMove,
@@ -80,6 +98,7 @@
         touchcancel: this.touchEnd
       };
 
+      this.multiTouch = false;
       this.setTouchable(false);
       this.setHoverable(false);
     },
@@ -93,8 +112,19 @@
       if (this.isTouchable === isTouchable) return;
       this.isTouchable = isTouchable;
       this.touchEvent = null;
+      this.touchEvents = {};
 
-      if (isTouchable) {
+      if (clayer.hasPointerEvents) {
+        if (isTouchable) {
+          this.$element.on('pointerdown', this.pointerDown);
+          this.$element.css('touch-action', 'none'); // otherwise the browser pans and cancels the pointer
+        } else {
+          this.$element.off('pointerdown', this.pointerDown);
+          this.$element.off(this.pointerEvents);
+          this.$element.css('touch-action', '');
+        }
+      }
+      else if (isTouchable) {
         this.$element.on({
           mousedown: this.mouseDown,
           touchstart: this.touchStart
@@ -112,7 +142,20 @@
       this.isHoverable = isHoverable;
       this.hoverEvent = null;
 
-      if (isHoverable) {
+      if (clayer.hasPointerEvents) {
+        if (isHoverable) {
+          this.$element.on({
+            pointermove: this.pointerHoverMove,
+            pointerleave: this.pointerHoverLeave
+          });
+        } else {
+          this.$element.off({
+            pointermove: this.pointerHoverMove,
+            pointerleave: this.pointerHoverLeave
+          });
+        }
+      }
+      else if (isHoverable) {
         this.$element.on({
           mousemove: this.hoverMove,
           mouseleave: this.hoverLeave
@@ -127,6 +170,19 @@
       }
     },
 
+    setMultiTouch: function(isMultiTouch) {
+      if (this.multiTouch === isMultiTouch) return;
+      this.multiTouch = isMultiTouch;
+      this.touchEvent = null;
+      this.touchEvents = {};
+      this.$document.off(this.documentEvents);
+      this.$element.off(this.pointerEvents);
+    },
+
+    isTouching: function() {
+      return this.touchEvent !== null || !$.isEmptyObject(this.touchEvents);
+    },
+
     mouseDown: function(event) {
       if (this.isTouchable) {
         this.$document.on({
@@ -135,7 +191,7 @@
         });
 
         this.touchEvent = new clayer.PositionEvent(this.$element, event, event.timeStamp, true);
-        clayer.makeCall(this.callbacks, 'touchDown', [this.touchEvent]);
+        clayer.makeCall(this.callbacks, 'touchDown', [this.touchEvent, 'mouse']);
       }
       return false;
     },
@@ -143,7 +199,7 @@
     mouseMove: function(event) {
       if (this.isTouchable && this.touchEvent) {
         this.touchEvent.move(event, event.timeStamp);
-        clayer.makeCall(this.callbacks, 'touchMove', [this.touchEvent]);
+        clayer.makeCall(this.callbacks, 'touchMove', [this.touchEvent, 'mouse']);
       }
       return false;
     },
@@ -151,7 +207,7 @@
     mouseUp: function(event) {
       if (this.isTouchable && this.touchEvent) {
         this.touchEvent.up(event, event.timeStamp);
-        clayer.makeCall(this.callbacks, 'touchUp', [this.touchEvent]);
+        clayer.makeCall(this.callbacks, 'touchUp', [this.touchEvent, 'mouse']);
         this.touchEvent = null;
       }
       this.$document.off(this.documentEvents);
@@ -165,7 +221,9 @@
         'mouseleave': this.hoverLeave
       }); // we're on a touch device (safer than checking using clayer.isTouch)
 
-      if (!this.isTouchable || this.touchEvent || event.originalEvent.targetTouches.length > 1) {
+      if (this.multiTouch) {
+        this.multiTouchStart(event);
+      } else if (!this.isTouchable || this.touchEvent || event.originalEvent.targetTouches.length > 1) {
         this.touchEnd(event);
       } else {
         this.$document.on({
@@ -175,40 +233,93 @@
         });
 
         this.touchEvent = new clayer.PositionEvent(this.$element, event.originalEvent.targetTouches[0], event.timeStamp, false);
-        clayer.makeCall(this.callbacks, 'touchDown', [this.touchEvent]);
+        clayer.makeCall(this.callbacks, 'touchDown', [this.touchEvent, this.touchEvent.event.identifier]);
       }
       return false;
     },
 
     touchMove: function(event) {
-      if (this.isTouchable && this.touchEvent) {
+      if (this.multiTouch) {
+        this.multiTouchMove(event);
+      } else if (this.isTouchable && this.touchEvent) {
         var touchEvent = this.findTouchEvent(event.originalEvent.touches);
         if (touchEvent === null) {
           this.touchEnd(event);
         } else {
           this.touchEvent.move(touchEvent, event.timeStamp);
-          clayer.makeCall(this.callbacks, 'touchMove', [this.touchEvent]);
+          clayer.makeCall(this.callbacks, 'touchMove', [this.touchEvent, touchEvent.identifier]);
         }
       }
       return false;
     },
 
     touchEnd: function(event) {
+      if (this.multiTouch) {
+        this.multiTouchEnd(event);
+        return false;
+      }
       if (this.isTouchable && this.touchEvent) {
         this.touchEvent.up(this.findTouchEvent(event.originalEvent.touches), event.timeStamp);
-        clayer.makeCall(this.callbacks, 'touchUp', [this.touchEvent]);
+        clayer.makeCall(this.callbacks, 'touchUp', [this.touchEvent, this.touchEvent.event.identifier]);
         this.touchEvent = null;
       }
       this.$document.off(this.documentEvents);
       return false;
     },
 
+    // With multi-touch every finger is handled separately, using the touches that changed in the event.
+    multiTouchStart: function(event) {
+      if (!this.isTouchable) return;
+      if (!this.isTouching()) {
+        this.$document.on({
+          touchmove: this.touchMove,
+          touchend: this.touchEnd,
+          touchcancel: this.touchEnd
+        });
+      }
+
+      var touches = event.originalEvent.changedTouches;
+      for (var i=0; i<touches.length; i++) {
+        var identifier = touches[i].identifier;
+        if (!this.touchEvents[identifier]) {
+          this.touchEvents[identifier] = new clayer.PositionEvent(this.$element, touches[i], event.timeStamp, false);
+          clayer.makeCall(this.callbacks, 'touchDown', [this.touchEvents[identifier], identifier]);
+        }
+      }
+    },
+
+    multiTouchMove: function(event) {
+      var touches = event.originalEvent.changedTouches;
+      for (var i=0; i<touches.length; i++) {
+        var touchEvent = this.touchEvents[touches[i].identifier];
+        if (this.isTouchable && touchEvent) {
+          touchEvent.move(touches[i], event.timeStamp);
+          clayer.makeCall(this.callbacks, 'touchMove', [touchEvent, touches[i].identifier]);
+        }
+      }
+    },
+
+    multiTouchEnd: function(event) {
+      var touches = event.originalEvent.changedTouches;
+      for (var i=0; i<touches.length; i++) {
+        var touchEvent = this.touchEvents[touches[i].identifier];
+        if (touchEvent) {
+          delete this.touchEvents[touches[i].identifier];
+          touchEvent.up(touches[i], event.timeStamp);
+          clayer.makeCall(this.callbacks, 'touchUp', [touchEvent, touches[i].identifier]);
+        }
+      }
+      if (!this.isTouching()) {
+        this.$document.off(this.documentEvents);
+      }
+    },
+
     hoverMove: function(event) {
       if (this.touchEvent) {
         this.mouseMove(event);
       } else if (this.isHoverable) {
         if (!this.hoverEvent) {
-          this.hoverEvent = new clayer.PositionEvent(this.$element, event, true);
+          this.hoverEvent = new clayer.PositionEvent(this.$element, event, event.timeStamp, true);
         } else {
           this.hoverEvent.move(event, event.timeStamp);
         }
@@ -226,9 +337,80 @@
       return false;
     },
 
-    findTouchEvent: function(touches) {
+    pointerDown: function(event) {
+      var pointerEvent = event.originalEvent;
+      if (!this.isTouchable || this.findPointerEvent(pointerEvent.pointerId)) return false;
+      if (!this.multiTouch && this.touchEvent) return false;
+      if (pointerEvent.pointerType === 'mouse' && pointerEvent.button !== 0) return;
+
+      if (this.$element[0].setPointerCapture) {
+        try {
+          this.$element[0].setPointerCapture(pointerEvent.pointerId);
+        } catch (e) {} // the pointer may already be gone
+      }
+      if (!this.isTouching()) {
+        this.$element.on(this.pointerEvents);
+      }
+
+      var touchEvent = new clayer.PositionEvent(this.$element, pointerEvent, event.timeStamp, pointerEvent.pointerType !== 'touch');
+      if (this.multiTouch) {
+        this.touchEvents[pointerEvent.pointerId] = touchEvent;
+      } else {
+        this.touchEvent = touchEvent;
+      }
+      clayer.makeCall(this.callbacks, 'touchDown', [touchEvent, pointerEvent.pointerId]);
+      return false;
+    },
+
+    pointerMove: function(event) {
+      var touchEvent = this.findPointerEvent(event.originalEvent.pointerId);
+      if (this.isTouchable && touchEvent) {
+        touchEvent.move(event.originalEvent, event.timeStamp);
+        clayer.makeCall(this.callbacks, 'touchMove', [touchEvent, event.originalEvent.pointerId]);
+      }
+      return false;
+    },
+
+    pointerUp: function(event) {
+      var touchEvent = this.findPointerEvent(event.originalEvent.pointerId);
+      if (!touchEvent) return false;
+      if (this.multiTouch) {
+        delete this.touchEvents[event.originalEvent.pointerId];
+      } else {
+        this.touchEvent = null;
+      }
+      if (this.isTouchable) {
+        touchEvent.up(event.originalEvent, event.timeStamp);
+        clayer.makeCall(this.callbacks, 'touchUp', [touchEvent, event.originalEvent.pointerId]);
+      }
+      if (!this.isTouching()) {
+        this.$element.off(this.pointerEvents);
+      }
+      return false;
+    },
+
+    findPointerEvent: function(pointerId) {
+      if (this.multiTouch) {
+        return this.touchEvents[pointerId] || null;
+      } else if (this.touchEvent && this.touchEvent.event.pointerId === pointerId) {
+        return this.touchEvent;
+      }
+      return null;
+    },
+
+    pointerHoverMove: function(event) {
+      if (this.isTouching() || event.originalEvent.pointerType === 'touch') return;
+      return this.hoverMove(event.originalEvent);
+    },
+
+    pointerHoverLeave: function(event) {
+      return this.hoverLeave(event.originalEvent);
+    },
+
+    findTouchEvent: function(touches, identifier) {
+      if (identifier === undefined) identifier = this.touchEvent.event.identifier;
       for (var i=0; i<touches.length; i++) {
-        if (touches[i].identifier === this.touchEvent.event.identifier) {
+        if (touches[i].identifier === identifier) {
           return touches[i];
         }
       }
@@ -251,6 +433,7 @@
       this.hasMoved = false;
       this.wasTap = false;
       this.mouse = mouse;
+      this.updatePointerData();
     },
 
     getTimeSinceGoingDown: function () {
@@ -271,11 +454,13 @@
       this.event = event;
       this.timestamp = timestamp;
       this.updatePositions();
+      this.updatePointerData();
     },
 
     up: function(event, timestamp) {
       this.event = event || this.event;
       this.timestamp = timestamp;
+      this.updatePointerData();
       this.wasTap = !this.hasMoved && (this.getTimeSinceGoingDown() < 300);
     },
 
@@ -293,6 +478,14 @@
       if (this.translation.x*this.translation.x + this.translation.y*this.translation.y > 200) this.hasMoved = true;
     },
 
+    // `pointerType` is 'mouse', 'touch' or 'pen'. Without Pointer Events the pressure falls back to the touch force, or 0.5 as the spec prescribes for buttons that are down.
+    updatePointerData: function() {
+      this.pointerType = this.event.pointerType || (this.mouse ? 'mouse' : 'touch');
+      this.pressure = this.event.pressure !== undefined ? this.event.pressure : (this.event.force || 0.5);
+      this.tiltX = this.event.tiltX || 0;
+      this.tiltY = this.event.tiltY || 0;
+    },
+
     updateLocalPoint: function() {
       var offset = this.$element.offset();
       this.localPoint.x = this.globalPoint.x - offset.left;
@@ -352,16 +545,226 @@
     }
   };
 
+  // ## Gestures
+  // `clayer.Gestures` recognizes long-presses, double-taps, swipes, circular swipes and pinches, on top of a multi-touch `clayer.Touchable`.
+  // It reuses the translation and timing of `clayer.PositionEvent`, and passes the touch and hover callbacks on as well.
+  // The thresholds in `clayer.Gestures.defaults` can be overridden using `options`.
+  clayer.Gestures = function() { return this.init.apply(this, arguments); };
+  clayer.Gestures.defaults = {
+    longPressDuration: 500, // ms without moving
+    doubleTapInterval: 300, // ms between two taps
+    doubleTapDistance: 20, // px between two taps
+    swipeDistance: 50, // px of translation
+    swipeDuration: 300, // ms from down to up
+    circleAngle: Math.PI, // radians swept around `options.center()` before a circular swipe starts; a straight line always sweeps less
+    pinchDistance: 10 // px the fingers move apart or together before a pinch starts
+  };
+  clayer.Gestures.prototype = {
+    init: function($element, callbacks, options) {
+      this.$element = $element;
+      this.callbacks = callbacks;
+      this.options = $.extend({}, clayer.Gestures.defaults, options);
+      this.touches = {};
+      this.lastTap = null;
+      this.pinch = null;
+      this.touchable = new clayer.Touchable($element, this);
+      this.touchable.setMultiTouch(true);
+    },
+
+    remove: function() {
+      for (var id in this.touches) {
+        window.clearTimeout(this.touches[id].longPressTimer);
+      }
+      this.touches = {};
+      this.touchable.remove();
+    },
+
+    setTouchable: function(value) {
+      this.touchable.setTouchable(value);
+    },
+
+    setHoverable: function(value) {
+      this.touchable.setHoverable(value);
+    },
+
+    hoverMove: function(event) {
+      clayer.makeCall(this.callbacks, 'hoverMove', [event]);
+    },
+
+    hoverLeave: function(event) {
+      clayer.makeCall(this.callbacks, 'hoverLeave', [event]);
+    },
+
+    touchDown: function(event, id) {
+      var touch = this.touches[id] = {
+        id: id,
+        event: event,
+        angle: this.angle(event),
+        sweptAngle: 0,
+        circling: false,
+        longPressed: false
+      };
+      touch.longPressTimer = window.setTimeout($.proxy(function() {
+        touch.longPressTimer = null;
+        if (!event.hasMoved && this.touches[id] === touch) {
+          touch.longPressed = true;
+          clayer.makeCall(this.callbacks, 'longPress', [event, id]);
+        }
+      }, this), this.options.longPressDuration);
+
+      clayer.makeCall(this.callbacks, 'touchDown', [event, id]);
+      this.startPinch();
+    },
+
+    touchMove: function(event, id) {
+      var touch = this.touches[id];
+      if (!touch) return;
+
+      if (event.hasMoved) {
+        window.clearTimeout(touch.longPressTimer);
+        touch.longPressTimer = null;
+      }
+      clayer.makeCall(this.callbacks, 'touchMove', [event, id]);
+      this.updateCircle(touch, event, id);
+      this.updatePinch();
+    },
+
+    touchUp: function(event, id) {
+      var touch = this.touches[id];
+      if (!touch) return;
+      window.clearTimeout(touch.longPressTimer);
+      delete this.touches[id];
+
+      clayer.makeCall(this.callbacks, 'touchUp', [event, id]);
+
+      if (touch.circling) {
+        clayer.makeCall(this.callbacks, 'circleEnd', [event, id]);
+      }
+      if (this.pinch && (this.pinch.ids[0] === id || this.pinch.ids[1] === id)) {
+        if (this.pinch.started) {
+          clayer.makeCall(this.callbacks, 'pinchEnd', [this.pinch.scale]);
+        }
+        this.pinch = null;
+      } else if (!touch.longPressed && !touch.circling) {
+        this.recognizeSwipe(event, id);
+        this.recognizeTap(event, id);
+      }
+    },
+
+    // Circular swipes are measured around `options.center()`, or else around the centre of the element, in local coordinates.
+    center: function() {
+      if (this.options.center) return this.options.center();
+      return { x: this.$element.outerWidth()/2, y: this.$element.outerHeight()/2 };
+    },
+
+    angle: function(event) {
+      var center = this.center();
+      return Math.atan2(event.localPoint.y - center.y, event.localPoint.x - center.x);
+    },
+
+    updateCircle: function(touch, event, id) {
+      var angle = this.angle(event);
+      var deltaAngle = angle - touch.angle;
+      if (deltaAngle > Math.PI) deltaAngle -= 2*Math.PI;
+      if (deltaAngle < -Math.PI) deltaAngle += 2*Math.PI;
+      var duration = event.timestamp - (touch.timestamp || event.startTimestamp);
+      touch.angle = angle;
+      touch.timestamp = event.timestamp;
+      if (Math.abs(deltaAngle) > Math.PI/2) return; // jumped across the centre
+      touch.sweptAngle += deltaAngle;
+
+      if (!touch.circling && Math.abs(touch.sweptAngle) >= this.options.circleAngle) {
+        touch.circling = true;
+      }
+      if (touch.circling) {
+        var angularSpeed = duration > 0 ? deltaAngle/duration*1000 : 0; // radians per second
+        clayer.makeCall(this.callbacks, 'circle', [event, deltaAngle, angularSpeed, id]);
+      }
+    },
+
+    startPinch: function() {
+      var ids = [];
+      for (var key in this.touches) ids.push(this.touches[key].id);
+      if (this.pinch || ids.length !== 2) return;
+
+      this.pinch = {
+        ids: ids,
+        distance: this.pinchDistance(ids),
+        scale: 1,
+        started: false
+      };
+    },
+
+    pinchDistance: function(ids) {
+      var a = this.touches[ids[0]].event.globalPoint, b = this.touches[ids[1]].event.globalPoint;
+      return Math.sqrt((a.x-b.x)*(a.x-b.x) + (a.y-b.y)*(a.y-b.y));
+    },
+
+    updatePinch: function() {
+      if (!this.pinch || !(this.touches[this.pinch.ids[0]] && this.touches[this.pinch.ids[1]])) return;
+      var distance = this.pinchDistance(this.pinch.ids);
+      if (!this.pinch.started && Math.abs(distance - this.pinch.distance) >= this.options.pinchDistance) {
+        this.pinch.started = true;
+      }
+      if (this.pinch.started && this.pinch.distance > 0) {
+        this.pinch.scale = distance/this.pinch.distance;
+        clayer.makeCall(this.callbacks, 'pinch', [this.pinch.scale]);
+      }
+    },
+
+    recognizeSwipe: function(event, id) {
+      var x = event.translation.x, y = event.translation.y;
+      if (event.getTimeSinceGoingDown() > this.options.swipeDuration) return;
+      if (x*x + y*y < this.options.swipeDistance*this.options.swipeDistance) return;
+
+      var direction;
+      if (Math.abs(x) > Math.abs(y)) {
+        direction = x > 0 ? 'right' : 'left';
+      } else {
+        direction = y > 0 ? 'down' : 'up';
+      }
+      clayer.makeCall(this.callbacks, 'swipe', [event, direction, id]);
+    },
+
+    recognizeTap: function(event, id) {
+      if (!event.wasTap) return;
+      var lastTap = this.lastTap;
+      this.lastTap = { x: event.globalPoint.x, y: event.globalPoint.y, timestamp: event.timestamp };
+
+      if (lastTap && event.startTimestamp - lastTap.timestamp <= this.options.doubleTapInterval) {
+        var dx = event.globalPoint.x - lastTap.x, dy = event.globalPoint.y - lastTap.y;
+        if (dx*dx + dy*dy <= this.options.doubleTapDistance*this.options.doubleTapDistance) {
+          this.lastTap = null;
+          clayer.makeCall(this.callbacks, 'doubleTap', [event, id]);
+        }
+      }
+    }
+  };
+
+  // ## Slider
+  // `clayer.Slider` can be dragged, and is also focusable and operable with the keyboard, exposing its value through ARIA attributes.
+  // Pass `options.label` to set `aria-label`.
+  //
+  // By default values are integers, one for every `valueWidth` pixels. When `options.max` is given, values run from `options.min` (default 0)
+  // to `options.max` over the whole length of the slider instead, in multiples of `options.step` (default 1).
+  // With `options.orientation` set to `'vertical'` the minimum is at the bottom.
+  // Tick marks with optional labels can be added using `setTicks()`, and with `options.snap` the value snaps to the nearest tick.
   clayer.Slider = function() { return this.init.apply(this, arguments); };
   clayer.Slider.prototype = {
     init: function($element, callbacks, valueWidth, options) {
       this.$element = $element;
       this.$element.addClass('clayer-slider');
       this.callbacks = callbacks;
+      this.options = options || {};
 
       this.valueWidth = valueWidth || 1;
-      this.markerValue = 0;
-      this.knobValue = 0;
+      this.vertical = this.options.orientation === 'vertical';
+      this.min = this.options.min || 0;
+      this.max = this.options.max;
+      this.step = this.options.step || 1;
+      this.ticks = [];
+      this.markerValue = this.knobValue = this.min;
+      if (this.vertical) this.$element.addClass('clayer-slider-vertical');
 
       this.$container = $('<div class="clayer-slider-container"></div>');
       this.$element.append(this.$container);
@@ -374,14 +777,31 @@
 
       this.$marker = $('<div class="clayer-slider-marker"></div>');
       this.markerWidth = Math.min(this.valueWidth, 10);
-      this.$marker.width(this.markerWidth);
+      if (this.vertical) {
+        this.$marker.height(this.markerWidth);
+      } else {
+        this.$marker.width(this.markerWidth);
+      }
       this.$bar.append(this.$marker);
 
+      this.$tickContainer = $('<div class="clayer-slider-tick-container"></div>');
+      this.$container.append(this.$tickContainer);
+
       this.$knob = $('<div class="clayer-slider-knob"></div>');
       this.$container.append(this.$knob);
 
       this.scrubbable = new clayer.Scrubbable(this.$element, this, options);
 
+      this.keyDown = $.proxy(this.keyDown, this);
+      this.$element.attr({
+        tabindex: 0,
+        role: 'slider',
+        'aria-orientation': this.vertical ? 'vertical' : 'horizontal'
+      });
+      if (this.options.label) this.$element.attr('aria-label', this.options.label);
+      this.$element.on('keydown', this.keyDown);
+      this.enabled = true;
+
       this.bounceTimer = null;
 
       this.renderKnob();
@@ -390,7 +810,11 @@
 
     remove: function() {
       this.scrubbable.remove();
+      this.$element.off('keydown', this.keyDown);
+      this.$element.removeAttr('tabindex role aria-orientation aria-valuemin aria-valuemax aria-valuenow aria-label aria-disabled');
+      this.$element.removeClass('clayer-slider-vertical clayer-slider-disabled');
       this.$segmentContainer.remove();
+      this.$tickContainer.remove();
       this.$marker.remove();
       this.$knob.remove();
       this.$bar.remove();
@@ -404,12 +828,58 @@
         var $segment = $('<div class="clayer-slider-segment"></div>');
         this.$segmentContainer.append($segment);
 
-        $segment.css('left', range.start*this.valueWidth);
-        $segment.width((range.end - range.start + 1)*this.valueWidth);
+        var start, size;
+        if (this.max === undefined) {
+          start = range.start*this.valueWidth;
+          size = (range.end - range.start + 1)*this.valueWidth;
+        } else {
+          start = this.valuePosition(range.start);
+          size = this.valuePosition(range.end) - start;
+        }
+        if (this.vertical) {
+          $segment.css('top', this.length() - start - size);
+          $segment.height(size);
+        } else {
+          $segment.css('left', start);
+          $segment.width(size);
+        }
         $segment.css('background-color', range.color);
       }
     },
 
+    // A disabled slider ignores pointer and keyboard input, and is taken out of the tab order.
+    setEnabled: function(enabled) {
+      this.enabled = enabled;
+      this.scrubbable.setScrubbable(enabled);
+      this.$element.toggleClass('clayer-slider-disabled', !enabled);
+      this.$element.attr({
+        tabindex: enabled ? 0 : -1,
+        'aria-disabled': !enabled
+      });
+    },
+
+    // `ticks` is an array of `{ value: ..., label: ... }` objects, the label is optional.
+    setTicks: function(ticks) {
+      this.ticks = ticks.slice(0).sort(function(a, b) { return a.value - b.value; });
+      this.$tickContainer.html('');
+      for (var i=0; i<this.ticks.length; i++) {
+        var tick = this.ticks[i];
+        var $tick = $('<div class="clayer-slider-tick"></div>');
+        if (tick.label !== undefined) {
+          $tick.append($('<span class="clayer-slider-tick-label"></span>').text(tick.label));
+        }
+        this.$tickContainer.append($tick);
+        this.renderPosition($tick, this.valuePosition(tick.value));
+      }
+    },
+
+    setRange: function(min, max) {
+      this.min = min;
+      this.max = max;
+      this.setTicks(this.ticks);
+      this.setValue(this.snapValue(this.markerValue));
+    },
+
     setValue: function(value) {
       this.markerValue = this.knobValue = value;
       this.renderKnob();
@@ -425,9 +895,82 @@
       clayer.makeCall(this.callbacks, 'sliderChanged', [this.knobValue, down]);
     },
 
-    updateKnob: function(x) {
-      x = Math.max(0, Math.min(this.$element.width()-1, x));
-      this.updateKnobValue(Math.floor(x/this.valueWidth));
+    length: function() {
+      return this.vertical ? this.$element.height() : this.$element.width();
+    },
+
+    minValue: function() {
+      return this.min;
+    },
+
+    maxValue: function() {
+      if (this.max !== undefined) return this.max;
+      return Math.max(0, Math.floor((this.length()-1)/this.valueWidth));
+    },
+
+    // Positions are in pixels along the bar, from the left or from the bottom.
+    positionValue: function(position) {
+      position = Math.max(0, Math.min(this.length()-1, position));
+      if (this.max === undefined) return this.snapValue(Math.floor(position/this.valueWidth));
+      return this.snapValue(this.min + position/Math.max(1, this.length()-1)*(this.max - this.min));
+    },
+
+    valuePosition: function(value) {
+      if (this.max === undefined) return (value+0.5)*this.valueWidth;
+      return (value - this.min)/((this.max - this.min) || 1)*Math.max(0, this.length()-1);
+    },
+
+    snapValue: function(value) {
+      value = this.min + Math.round((value - this.min)/this.step)*this.step;
+      value = Math.max(this.minValue(), Math.min(this.maxValue(), parseFloat(value.toFixed(10))));
+      if (this.options.snap && this.ticks.length > 0) {
+        var nearest = this.ticks[0].value;
+        for (var i=1; i<this.ticks.length; i++) {
+          if (Math.abs(this.ticks[i].value - value) < Math.abs(nearest - value)) nearest = this.ticks[i].value;
+        }
+        value = nearest;
+      }
+      return value;
+    },
+
+    // With snapping the arrow keys move to the next tick, otherwise by one step. Page Up and Page Down move by a tenth of the range.
+    keyDown: function(event) {
+      if (!this.enabled) return;
+      var min = this.minValue(), max = this.maxValue();
+      var page = Math.max(this.step, Math.round((max - min)/10/this.step)*this.step);
+      var value;
+      switch (event.which) {
+        case 37: case 40: value = this.nextValue(-1); break; // left, down
+        case 39: case 38: value = this.nextValue(1); break; // right, up
+        case 34: value = this.snapValue(this.markerValue - page); break; // page down
+        case 33: value = this.snapValue(this.markerValue + page); break; // page up
+        case 36: value = this.snapValue(min); break; // home
+        case 35: value = this.snapValue(max); break; // end
+        default: return;
+      }
+
+      if (this.markerValue !== value) {
+        this.knobValue = this.markerValue = value;
+        this.renderKnob();
+        this.renderMarker();
+        this.changed(true);
+      }
+      return false;
+    },
+
+    nextValue: function(direction) {
+      if (this.options.snap && this.ticks.length > 0) {
+        for (var i=0; i<this.ticks.length; i++) {
+          var tick = this.ticks[direction > 0 ? i : this.ticks.length-1-i];
+          if ((tick.value - this.markerValue)*direction > 0) return tick.value;
+        }
+        return this.markerValue;
+      }
+      return this.snapValue(this.markerValue + direction*this.step);
+    },
+
+    updateKnob: function(position) {
+      this.updateKnobValue(this.positionValue(position));
     },
 
     updateKnobValue: function(knobValue) {
@@ -438,9 +981,8 @@
       }
     },
 
-    updateMarker: function(x) {
-      x = Math.max(0, Math.min(this.$element.width()-1, x));
-      var markerValue = Math.floor(x/this.valueWidth);
+    updateMarker: function(position) {
+      var markerValue = this.positionValue(position);
       if (this.markerValue !== markerValue) {
         this.knobValue = this.markerValue = markerValue;
         this.renderKnob();
@@ -449,22 +991,37 @@
       }
     },
 
+    renderPosition: function($element, position, size) {
+      size = size || 0;
+      if (this.vertical) {
+        $element.css('top', this.length() - 1 - position - size/2);
+      } else {
+        $element.css('left', position - size/2);
+      }
+    },
+
     renderKnob: function() {
-      this.$knob.css('left', (this.knobValue+0.5)*this.valueWidth);
+      this.renderPosition(this.$knob, this.valuePosition(this.knobValue));
+      this.$element.attr({
+        'aria-valuemin': this.minValue(),
+        'aria-valuemax': this.maxValue(),
+        'aria-valuenow': this.knobValue
+      });
     },
 
     renderMarker: function() {
-      this.$marker.css('left', (this.markerValue+0.5)*this.valueWidth - this.markerWidth/2);
+      this.renderPosition(this.$marker, this.valuePosition(this.markerValue), this.markerWidth);
     },
 
     scrubMove: function(x, y, down) {
+      var position = this.vertical ? this.length() - 1 - y : x;
       this.$knob.addClass('clayer-active');
       if (down) {
         this.$knob.addClass('clayer-pressed');
-        this.updateMarker(x);
+        this.updateMarker(position);
       } else {
         this.$knob.removeClass('clayer-pressed');
-        this.updateKnob(x);
+        this.updateKnob(position);
       }
     },
 
@@ -588,11 +1145,108 @@
     __extends = function(child, parent) { for (var key in parent) { if (__hasProp.call(parent, key)) child[key] = parent[key]; } function ctor() { this.constructor = child; } ctor.prototype = parent.prototype; child.prototype = new ctor(); child.__super__ = parent.prototype; return child; };
 
   define(['scripts/backbone', 'scripts/timbre'], function(Backbone, T) {
-    var GlassModel, GlassSoundView, GlassView, Main, Wobbler, clamp,
+    var Binding, EnsembleView, GlassCollection, GlassModel, GlassSoundView, GlassView, Main, MidiFile, PresetRegistry, Sequencer, SequencerView, ShapeEditorView, WavRenderer, Wobbler, clamp, presets,
       _this = this;
     clamp = function(min, max, value) {
       return Math.min(max, Math.max(min, value));
     };
+    PresetRegistry = (function() {
+
+      _.extend(PresetRegistry.prototype, Backbone.Events);
+
+      function PresetRegistry() {
+        this.presets = {};
+        this.order = [];
+      }
+
+      PresetRegistry.prototype.defaultWobbleFormula = function(y) {
+        return 0.02 / (1 + Math.exp(1 - 10 * y));
+      };
+
+      PresetRegistry.prototype.register = function(name, preset) {
+        if (!_.isFunction(preset != null ? preset.formula : void 0)) {
+          throw new Error("Preset '" + name + "' needs a formula function");
+        }
+        if (!(preset.baseFrequency > 0 && preset.massPerVolume > 0)) {
+          throw new Error("Preset '" + name + "' needs a positive baseFrequency and massPerVolume");
+        }
+        if (!_.has(this.presets, name)) {
+          this.order.push(name);
+        }
+        this.presets[name] = _.defaults({}, preset, {
+          wobbleFormula: this.defaultWobbleFormula
+        });
+        return this.trigger('register', name);
+      };
+
+      PresetRegistry.prototype.get = function(name) {
+        var _ref;
+        return (_ref = this.presets[name]) != null ? _ref : null;
+      };
+
+      PresetRegistry.prototype.has = function(name) {
+        return _.has(this.presets, name);
+      };
+
+      PresetRegistry.prototype.names = function() {
+        return this.order.slice(0);
+      };
+
+      return PresetRegistry;
+
+    })();
+    presets = new PresetRegistry;
+    presets.register('wine glass', {
+      baseFrequency: 880,
+      massPerVolume: 0.007,
+      formula: function(y) {
+        return Math.log(y * 1.2 + 0.01) / Math.log(10) / 2 + 1 - y * 1.2 * y * 1.2 / 5;
+      }
+    });
+    presets.register('tumbler', {
+      baseFrequency: 1000,
+      massPerVolume: 0.0075,
+      formula: function(y) {
+        return 0.6 + 0.15 * y;
+      }
+    });
+    presets.register('flute', {
+      baseFrequency: 1200,
+      massPerVolume: 0.016,
+      formula: function(y) {
+        return 0.4 * Math.sqrt(Math.min(1, y * 3));
+      },
+      wobbleFormula: function(y) {
+        return 0.01 / (1 + Math.exp(1 - 10 * y));
+      }
+    });
+    presets.register('bowl', {
+      baseFrequency: 600,
+      massPerVolume: 0.0035,
+      formula: function(y) {
+        return Math.sqrt(1 - (1 - y) * (1 - y));
+      },
+      wobbleFormula: function(y) {
+        return 0.03 / (1 + Math.exp(1 - 10 * y));
+      }
+    });
+    presets.register('bottle', {
+      baseFrequency: 400,
+      massPerVolume: 0.004,
+      formula: function(y) {
+        return 0.15 + 0.45 / (1 + Math.exp((y - 0.7) * 25));
+      },
+      wobbleFormula: function(y) {
+        return 0.01 / (1 + Math.exp(1 - 10 * y));
+      }
+    });
+    presets.register('beaker', {
+      baseFrequency: 1100,
+      massPerVolume: 0.008,
+      formula: function(y) {
+        return 0.7 + Math.max(0, y - 0.95) * 2;
+      }
+    });
     Wobbler = (function(_super) {
 
       __extends(Wobbler, _super);
@@ -654,25 +1308,55 @@
         return GlassModel.__super__.constructor.apply(this, arguments);
       }
 
+      GlassModel.prototype.defaults = {
+        pitchModel: 'linear',
+        glassRadius: 40,
+        glassWallThickness: 2,
+        glassDensity: 2500,
+        fluidDensity: 1000,
+        volumeMode: 'area',
+        pixelsPerCentimetre: 20
+      };
+
+      GlassModel.prototype.volumeModes = ['area', 'revolution'];
+
       GlassModel.prototype.initialize = function() {
         this.on('change:width change:height change:formula', this.calculate);
         this.on('change:width change:height change:formula', this.clearFillInterval);
+        this.on('change:volumeMode change:pixelsPerCentimetre', this.recalculateKeepingHeight);
         return this.calculate();
       };
 
       GlassModel.prototype.mass = function(volume) {
-        return this.attributes.massPerVolume * volume;
+        return this.attributes.massPerVolume * volume * this.volumeScale;
+      };
+
+      GlassModel.prototype.waterColorModes = ['pitch', 'plain'];
+
+      GlassModel.prototype.plainWaterHue = 200;
+
+      GlassModel.prototype.readouts = ['frequency', 'note', 'tuner', 'volume', 'gauge'];
+
+      GlassModel.prototype.showsReadout = function(name) {
+        return (this.attributes.readouts == null) || _.contains(this.attributes.readouts, name);
       };
 
       GlassModel.prototype.waterHue = function() {
         var max, min;
+        if (this.attributes.waterColorMode === 'plain') {
+          return this.plainWaterHue;
+        }
         min = 40;
         max = 70;
         return (clamp(min, max, this.waterNoteRawNumber(this.attributes.waterVolume)) - min) / (max - min) * 360;
       };
 
       GlassModel.prototype.waterNoteRawNumber = function(volume) {
-        return 12 * Math.log(this.waterToneFrequency(volume) / 440) / Math.log(2) + 49;
+        return this.frequencyNoteNumber(this.waterToneFrequency(volume));
+      };
+
+      GlassModel.prototype.frequencyNoteNumber = function(frequency) {
+        return 12 * Math.log(frequency / 440) / Math.log(2) + 49;
       };
 
       GlassModel.prototype.waterNoteNumber = function(volume) {
@@ -697,46 +1381,203 @@
         }
       };
 
-      GlassModel.prototype.waterToneFrequency = function(volume) {
-        return this.attributes.baseFrequency - this.mass(volume);
-      };
-
-      GlassModel.prototype.volumeForHeight = function(height) {
-        var _ref;
-        return (_ref = this.volumes[height]) != null ? _ref : 0;
+      GlassModel.prototype.noteNumberName = function(number) {
+        return this.notes[(number % 12 + 12) % 12] + Math.floor((number + 8) / 12);
       };
 
-      GlassModel.prototype.calculate = function() {
-        var shapeVolume, shapeY, width, _i, _ref, _results;
-        shapeVolume = 0;
-        this.widths = [];
-        this.volumes = [];
-        _results = [];
-        for (shapeY = _i = 0, _ref = this.attributes.height; 0 <= _ref ? _i <= _ref : _i >= _ref; shapeY = 0 <= _ref ? ++_i : --_i) {
-          width = 2 * this.xFromCenterForShape(shapeY);
-          shapeVolume += width;
-          this.widths[shapeY] = width;
-          _results.push(this.volumes[shapeY] = shapeVolume);
-        }
-        return _results;
+      GlassModel.prototype.waterNoteOctaveName = function(volume) {
+        return this.noteNumberName(Math.round(this.waterNoteRawNumber(volume)));
       };
 
-      GlassModel.prototype.currentWaterShapeHeight = function() {
-        return this.waterShapeHeight(this.attributes.waterVolume);
+      GlassModel.prototype.waterNoteCents = function(volume) {
+        var number;
+        number = this.waterNoteRawNumber(volume);
+        return (number - Math.round(number)) * 100;
       };
 
-      GlassModel.prototype.waterShapeHeight = function(volume) {
-        return _.sortedIndex(this.volumes, volume);
+      GlassModel.prototype.waterToneFrequency = function(volume) {
+        return this.pitchModels[this.attributes.pitchModel].call(this, volume);
       };
 
-      GlassModel.prototype.xFromCenterForShape = function(shapeY) {
-        var fraction;
-        fraction = shapeY / this.attributes.height;
-        return this.attributes.formula(fraction) * this.attributes.width / 2;
+      GlassModel.prototype.pitchModels = {
+        linear: function(volume) {
+          return this.attributes.baseFrequency - this.mass(volume);
+        },
+        french: function(volume) {
+          var alpha, fraction;
+          alpha = this.attributes.fluidDensity * this.attributes.glassRadius / (5 * this.attributes.glassDensity * this.attributes.glassWallThickness);
+          fraction = this.waterShapeHeight(volume) / this.attributes.height;
+          return this.attributes.baseFrequency / Math.sqrt(1 + alpha * Math.pow(fraction, 4));
+        }
       };
 
-      GlassModel.prototype.topWidth = function() {
-        return this.widths[this.attributes.height] / 2;
+      GlassModel.prototype.noteOffsets = {
+        C: 0,
+        D: 2,
+        E: 4,
+        F: 5,
+        G: 7,
+        A: 9,
+        B: 11
+      };
+
+      GlassModel.prototype.noteNameNumber = function(name) {
+        var match, offset;
+        match = /^([A-Ga-g])([#b]?)(-?\d+)$/.exec(name);
+        if (match == null) {
+          return null;
+        }
+        offset = this.noteOffsets[match[1].toUpperCase()];
+        if (match[2] === '#') {
+          offset += 1;
+        } else if (match[2] === 'b') {
+          offset -= 1;
+        }
+        return 12 * parseInt(match[3], 10) + offset - 8;
+      };
+
+      GlassModel.prototype.noteNumberFrequency = function(number) {
+        return 440 * Math.pow(2, (number - 49) / 12);
+      };
+
+      GlassModel.prototype.centsBetween = function(frequency, targetFrequency) {
+        return 1200 * Math.log(frequency / targetFrequency) / Math.log(2);
+      };
+
+      GlassModel.prototype.targetCents = function(volume) {
+        var number;
+        number = this.noteNameNumber(this.attributes.targetNote);
+        if (number == null) {
+          return null;
+        }
+        return this.centsBetween(this.waterToneFrequency(volume), this.noteNumberFrequency(number));
+      };
+
+      GlassModel.prototype.frequencyRange = function() {
+        var empty, full;
+        empty = this.waterToneFrequency(this.volumes[0]);
+        full = this.waterToneFrequency(this.volumes[this.attributes.height]);
+        return [Math.min(empty, full), Math.max(empty, full)];
+      };
+
+      GlassModel.prototype.isPlayableFrequency = function(frequency) {
+        var range, tolerance;
+        range = this.frequencyRange();
+        tolerance = Math.pow(2, 50 / 1200);
+        return frequency >= range[0] / tolerance && frequency <= range[1] * tolerance;
+      };
+
+      GlassModel.prototype.heightForFrequency = function(frequency) {
+        var bestCents, bestHeight, cents, height, _i, _ref;
+        bestHeight = 0;
+        bestCents = Infinity;
+        for (height = _i = 0, _ref = this.attributes.height; 0 <= _ref ? _i <= _ref : _i >= _ref; height = 0 <= _ref ? ++_i : --_i) {
+          cents = Math.abs(this.centsBetween(this.waterToneFrequency(this.volumes[height]), frequency));
+          if (cents < bestCents) {
+            bestCents = cents;
+            bestHeight = height;
+          }
+        }
+        return bestHeight;
+      };
+
+      GlassModel.prototype.noteHeights = function() {
+        var number, range, _i, _ref, _results;
+        range = this.frequencyRange();
+        _results = [];
+        for (number = _i = Math.ceil(this.frequencyNoteNumber(range[0])), _ref = Math.floor(this.frequencyNoteNumber(range[1])); _i <= _ref; number = _i += 1) {
+          _results.push({
+            number: number,
+            name: this.noteNumberName(number),
+            height: this.heightForFrequency(this.noteNumberFrequency(number))
+          });
+        }
+        return _results;
+      };
+
+      GlassModel.prototype.tuneTo = function(target, immediate) {
+        var frequency, height, noteNumber;
+        if (typeof target === 'string') {
+          noteNumber = this.noteNameNumber(target);
+          if (noteNumber == null) {
+            return null;
+          }
+          frequency = this.noteNumberFrequency(noteNumber);
+        } else {
+          frequency = target;
+        }
+        height = this.heightForFrequency(frequency);
+        if (immediate) {
+          this.clearFillInterval();
+          this.set('waterVolume', this.volumes[height]);
+        } else {
+          this.animateTowardHeight(height);
+        }
+        return this.centsBetween(this.waterToneFrequency(this.volumes[height]), frequency);
+      };
+
+      GlassModel.prototype.volumeForHeight = function(height) {
+        var _ref;
+        return (_ref = this.volumes[height]) != null ? _ref : 0;
+      };
+
+      GlassModel.prototype.calculate = function() {
+        var cubicPixels, shapeArea, shapeY, width, _i, _ref;
+        shapeArea = 0;
+        cubicPixels = Math.pow(this.attributes.pixelsPerCentimetre, 3);
+        this.widths = [];
+        this.areas = [];
+        this.millilitres = [];
+        for (shapeY = _i = 0, _ref = this.attributes.height; 0 <= _ref ? _i <= _ref : _i >= _ref; shapeY = 0 <= _ref ? ++_i : --_i) {
+          width = 2 * this.xFromCenterForShape(shapeY);
+          shapeArea += width;
+          this.widths[shapeY] = width;
+          this.areas[shapeY] = shapeArea;
+          this.millilitres[shapeY] = (shapeY > 0 ? this.millilitres[shapeY - 1] : 0) + Math.PI * width * width / 4 / cubicPixels;
+        }
+        this.volumes = this.attributes.volumeMode === 'revolution' ? this.millilitres : this.areas;
+        return this.volumeScale = this.areas[this.attributes.height] / this.volumes[this.attributes.height] || 1;
+      };
+
+      GlassModel.prototype.recalculateKeepingHeight = function() {
+        var height;
+        height = this.currentWaterShapeHeight();
+        this.clearFillInterval();
+        this.calculate();
+        return this.set('waterVolume', this.volumeForHeight(height));
+      };
+
+      GlassModel.prototype.resize = function(width, height) {
+        var fraction;
+        fraction = this.currentWaterShapeHeight() / this.attributes.height;
+        this.set({
+          width: width,
+          height: height
+        });
+        return this.set('waterVolume', this.volumeForHeight(Math.min(height, Math.round(fraction * height))));
+      };
+
+      GlassModel.prototype.waterMillilitres = function() {
+        var _ref;
+        return (_ref = this.millilitres[this.currentWaterShapeHeight()]) != null ? _ref : this.millilitres[this.attributes.height];
+      };
+
+      GlassModel.prototype.currentWaterShapeHeight = function() {
+        return this.waterShapeHeight(this.attributes.waterVolume);
+      };
+
+      GlassModel.prototype.waterShapeHeight = function(volume) {
+        return _.sortedIndex(this.volumes, volume);
+      };
+
+      GlassModel.prototype.xFromCenterForShape = function(shapeY) {
+        var fraction;
+        fraction = shapeY / this.attributes.height;
+        return this.attributes.formula(fraction) * this.attributes.width / 2;
+      };
+
+      GlassModel.prototype.topWidth = function() {
+        return this.widths[this.attributes.height] / 2;
       };
 
       GlassModel.prototype.minimumWidth = function() {
@@ -749,7 +1590,7 @@
 
       GlassModel.prototype.animateTowardHeight = function(height) {
         var _this = this;
-        this.clearFillInterval();
+        this.stopPouring();
         return this.fillInterval = window.setInterval((function() {
           return _this.moveTowardHeight(height, _this.volumeDifference(height) / 15);
         }), 15);
@@ -757,14 +1598,41 @@
 
       GlassModel.prototype.clearFillInterval = function() {
         if (this.fillInterval != null) {
-          return window.clearInterval(this.fillInterval);
+          window.clearInterval(this.fillInterval);
+          return this.fillInterval = null;
+        }
+      };
+
+      GlassModel.prototype.pourRate = null;
+
+      GlassModel.prototype.setPourRate = function(rate) {
+        var _this = this;
+        if (this.pourRate == null) {
+          this.clearFillInterval();
+        }
+        this.pourRate = rate;
+        if (this.fillInterval == null) {
+          return this.fillInterval = window.setInterval((function() {
+            return _this.moveTowardHeight((_this.pourRate > 0 ? _this.attributes.height : 0), _this.pourRate);
+          }), 15);
         }
       };
 
+      GlassModel.prototype.stopPouring = function() {
+        this.pourRate = null;
+        return this.clearFillInterval();
+      };
+
+      GlassModel.prototype.isPouring = function() {
+        return (this.pourRate != null) && (this.fillInterval != null);
+      };
+
+      GlassModel.prototype.fillEpsilon = 0.0001;
+
       GlassModel.prototype.moveTowardHeight = function(height, fillVolume) {
         var volumeDifference;
         volumeDifference = this.volumeDifference(height);
-        if (Math.abs(volumeDifference) <= fillVolume) {
+        if (Math.abs(volumeDifference) <= Math.max(Math.abs(fillVolume), this.fillEpsilon * this.volumes[this.attributes.height])) {
           this.set('waterVolume', this.volumes[height]);
           return this.clearFillInterval();
         } else {
@@ -779,6 +1647,34 @@
       return GlassModel;
 
     })(Backbone.Model);
+    GlassCollection = (function(_super) {
+
+      __extends(GlassCollection, _super);
+
+      function GlassCollection() {
+        return GlassCollection.__super__.constructor.apply(this, arguments);
+      }
+
+      GlassCollection.prototype.model = GlassModel;
+
+      GlassCollection.prototype.selectedIndex = 0;
+
+      GlassCollection.prototype.selected = function() {
+        return this.at(clamp(0, this.length - 1, this.selectedIndex));
+      };
+
+      GlassCollection.prototype.select = function(model) {
+        var index;
+        index = this.indexOf(model);
+        if (index >= 0 && index !== this.selectedIndex) {
+          this.selectedIndex = index;
+          return this.trigger('select', model);
+        }
+      };
+
+      return GlassCollection;
+
+    })(Backbone.Collection);
     GlassSoundView = (function(_super) {
 
       __extends(GlassSoundView, _super);
@@ -787,26 +1683,152 @@
         return GlassSoundView.__super__.constructor.apply(this, arguments);
       }
 
+      GlassSoundView.prototype.bowedPatch = {
+        envelope: 'adsr',
+        options: {
+          a: 400,
+          d: 300,
+          s: 0.8,
+          r: 1500
+        },
+        partials: [
+          {
+            ratio: 1,
+            mul: 0.5
+          }, {
+            ratio: 2.83,
+            mul: 0.08
+          }, {
+            ratio: 5.42,
+            mul: 0.02
+          }
+        ]
+      };
+
+      GlassSoundView.prototype.struckPatch = {
+        envelope: 'perc',
+        options: {
+          a: 2,
+          r: 2500
+        },
+        partials: [
+          {
+            ratio: 1,
+            mul: 0.4
+          }, {
+            ratio: 2.83,
+            mul: 0.2
+          }, {
+            ratio: 5.42,
+            mul: 0.1
+          }, {
+            ratio: 8.77,
+            mul: 0.05
+          }
+        ]
+      };
+
       GlassSoundView.prototype.initialize = function() {
         this.listenTo(this.model, 'change', this.updateOsc);
         this.listenTo(this.model, 'playing:start', this.startPlaying);
         this.listenTo(this.model, 'playing:stop', this.stopPlaying);
-        this.osc = T('osc', {
-          wave: 'sin'
-        });
+        this.listenTo(this.model, 'playing:strike', this.strike);
+        this.listenTo(this.model, 'playing:rub', this.rub);
+        this.wobbler = this.options.wobbler;
+        if (this.wobbler != null) {
+          this.listenTo(this.wobbler, 'change:amplitude', this.updateOsc);
+        }
+        this.bowed = this.makeVoice(this.bowedPatch);
+        this.struck = this.makeVoice(this.struckPatch);
         return this.updateOsc();
       };
 
+      GlassSoundView.prototype.makeVoice = function(patch) {
+        var oscs, partial;
+        oscs = (function() {
+          var _i, _len, _ref, _results;
+          _ref = patch.partials;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            partial = _ref[_i];
+            _results.push(T('sin', {
+              mul: partial.mul
+            }));
+          }
+          return _results;
+        })();
+        return {
+          patch: patch,
+          oscs: oscs,
+          env: T.apply(null, [patch.envelope, _.clone(patch.options)].concat(oscs)).on('ended', function() {
+            return this.pause();
+          })
+        };
+      };
+
+      GlassSoundView.prototype.vibratoDepth = 0.01;
+
+      GlassSoundView.prototype.tremoloDepth = 0.3;
+
+      GlassSoundView.prototype.tuneVoice = function(voice, frequency, gain) {
+        var index, osc, partial, _i, _len, _ref, _results;
+        _ref = voice.oscs;
+        _results = [];
+        for (index = _i = 0, _len = _ref.length; _i < _len; index = ++_i) {
+          osc = _ref[index];
+          partial = voice.patch.partials[index];
+          _results.push(osc.set({
+            freq: frequency * partial.ratio,
+            mul: partial.mul * gain
+          }));
+        }
+        return _results;
+      };
+
+      GlassSoundView.prototype.wobble = function() {
+        if (this.wobbler == null) {
+          return 0;
+        }
+        return clamp(-1, 1, this.wobbler.get('amplitude') / 100);
+      };
+
       GlassSoundView.prototype.updateOsc = function() {
-        return this.osc.set('freq', this.model.waterToneFrequency(this.model.get('waterVolume')));
+        var frequency, gain, wobble;
+        wobble = this.wobble();
+        frequency = this.model.waterToneFrequency(this.model.get('waterVolume')) * (1 + this.vibratoDepth * wobble);
+        gain = 1 - this.tremoloDepth * Math.abs(wobble);
+        this.tuneVoice(this.bowed, frequency, gain);
+        return this.tuneVoice(this.struck, frequency, gain);
       };
 
       GlassSoundView.prototype.startPlaying = function() {
-        return this.osc.play();
+        return this.bowed.env.set('mul', 1).bang().play();
       };
 
       GlassSoundView.prototype.stopPlaying = function() {
-        return this.osc.pause();
+        this.rubbing = false;
+        return this.bowed.env.release();
+      };
+
+      GlassSoundView.prototype.rub = function(loudness) {
+        this.bowed.env.set('mul', clamp(0, 1, loudness));
+        if (!this.rubbing) {
+          this.rubbing = true;
+          return this.bowed.env.bang().play();
+        }
+      };
+
+      GlassSoundView.prototype.strike = function(velocity) {
+        if (velocity == null) {
+          velocity = 1;
+        }
+        return this.struck.env.set('mul', clamp(0, 1, velocity)).bang().play();
+      };
+
+      GlassSoundView.prototype.remove = function() {
+        this.bowed.env.pause();
+        this.struck.env.pause();
+        return GlassSoundView.__super__.remove.apply(this, arguments);
       };
 
       return GlassSoundView;
@@ -822,26 +1844,27 @@
 
       GlassView.prototype.className = 'glass-view';
 
-      GlassView.prototype.events = {
-        'mousedown canvas': 'onClick',
-        'mousemove canvas': 'onMouseMove',
-        'mouseleave canvas': 'onMouseLeave',
-        'mousedown .glass-view-finger': 'onClickFinger'
-      };
-
       GlassView.prototype.initialize = function() {
         this.listenTo(this.model, 'change', this.updateCanvas);
         this.wobbler = new Wobbler;
         this.listenTo(this.wobbler, 'change:amplitude', this.updateCanvas);
+        this.listenTo(this.model, 'change:editingShape', this.renderShapeEditor);
+        this.listenTo(this.model, 'change', this.updateGauge);
+        this.listenTo(this.model, 'change:playing', this.onPlayingChange);
+        this.listenTo(this.model, 'change:height', this.positionFinger);
         return this.soundView = new GlassSoundView({
-          model: this.model
+          model: this.model,
+          wobbler: this.wobbler
         });
       };
 
-      GlassView.prototype.shapeHeightByEvent = function(e) {
-        var height, y;
-        y = e.pageY - this.$canvas.offset().top;
-        height = this.model.get('gadgetHeight') - y;
+      GlassView.prototype.pointHeight = function(point) {
+        return this.model.get('gadgetHeight') - point.y;
+      };
+
+      GlassView.prototype.shapeHeightAt = function(point) {
+        var height;
+        height = this.pointHeight(point);
         if (height >= 0 && height < this.model.get('height')) {
           return Math.round(height);
         } else {
@@ -849,46 +1872,392 @@
         }
       };
 
-      GlassView.prototype.onClick = function(e) {
-        var height;
-        height = this.shapeHeightByEvent(e);
+      GlassView.prototype.rimMargin = 10;
+
+      GlassView.prototype.isRimPoint = function(point) {
+        var x;
+        x = point.x - this.model.get('gadgetWidth') / 2;
+        return Math.abs(this.pointHeight(point) - this.model.get('height')) <= this.rimMargin && Math.abs(x) <= this.model.topWidth() + this.rimMargin;
+      };
+
+      GlassView.prototype.isModifierEvent = function(event) {
+        return !!(event.event.shiftKey || event.event.altKey);
+      };
+
+      GlassView.prototype.touchDown = function(event, id) {
+        var _ref;
+        if ((_ref = this.model.collection) != null) {
+          _ref.select(this.model);
+        }
+        if (this.isModifierEvent(event)) {
+          this.touchModes[id] = 'strike';
+          return this.strike(this.pointerVelocity(event.timestamp));
+        }
+        if (this.isRimPoint(event.localPoint)) {
+          this.touchModes[id] = 'rim';
+          return this.rimVelocities[id] = this.pointerVelocity(event.timestamp);
+        }
+        if (this.model.get('locked')) {
+          return this.touchModes[id] = 'locked';
+        }
+        if (this.pointHeight(event.localPoint) > this.model.get('height') + this.rimMargin) {
+          this.touchModes[id] = 'pour';
+          return this.pourMove(event);
+        }
+        if (event.mouse) {
+          this.touchModes[id] = 'fill';
+          return this.fillToHeight(this.shapeHeightAt(event.localPoint));
+        }
+        this.touchModes[id] = 'preview';
+        return this.hoverMove(event);
+      };
+
+      GlassView.prototype.touchMove = function(event, id) {
+        if (this.touchModes[id] === 'pour') {
+          this.updatePointerSpeed(event);
+          return this.pourMove(event);
+        } else if (this.touchModes[id] === 'preview') {
+          return this.hoverMove(event);
+        } else {
+          return this.updatePointerSpeed(event);
+        }
+      };
+
+      GlassView.prototype.touchUp = function(event, id) {
+        var mode;
+        mode = this.touchModes[id];
+        delete this.touchModes[id];
+        if (mode === 'rim') {
+          this.strike(this.rimVelocities[id]);
+          return delete this.rimVelocities[id];
+        } else if (mode === 'rub') {
+          return this.endRub();
+        } else if (mode === 'pour') {
+          return this.endPour();
+        } else if (mode === 'preview') {
+          this.fillToHeight(this.shapeHeightAt(event.localPoint));
+          return this.hoverLeave();
+        }
+      };
+
+      GlassView.prototype.rimCenter = function() {
+        return {
+          x: this.model.get('gadgetWidth') / 2,
+          y: this.model.get('gadgetHeight') - this.model.get('height')
+        };
+      };
+
+      GlassView.prototype.rubFullSpeed = 4 * Math.PI;
+
+      GlassView.prototype.rubPause = 150;
+
+      GlassView.prototype.circle = function(event, deltaAngle, angularSpeed, id) {
+        var _ref,
+          _this = this;
+        if (!((_ref = this.touchModes[id]) === 'rim' || _ref === 'rub')) {
+          return;
+        }
+        if (this.touchModes[id] === 'rim') {
+          this.touchModes[id] = 'rub';
+          delete this.rimVelocities[id];
+          this.model.set('playing', false);
+          this.rubSpeed = 0;
+          this.$finger.addClass('glass-view-finger-active');
+        }
+        this.rubSpeed = 0.7 * this.rubSpeed + 0.3 * Math.abs(angularSpeed);
+        this.model.trigger('playing:rub', clamp(0, 1, this.rubSpeed / this.rubFullSpeed));
+        this.$finger.css('left', clamp(-this.model.topWidth(), this.model.topWidth(), event.localPoint.x - this.rimCenter().x) + this.rimCenter().x);
+        this.clearRubTimeout();
+        return this.rubTimeout = window.setTimeout((function() {
+          _this.rubTimeout = null;
+          _this.rubSpeed = 0;
+          return _this.model.trigger('playing:stop');
+        }), this.rubPause);
+      };
+
+      GlassView.prototype.endRub = function() {
+        this.clearRubTimeout();
+        this.rubSpeed = 0;
+        this.$finger.removeClass('glass-view-finger-active');
+        this.updateFinger();
+        return this.model.trigger('playing:stop');
+      };
+
+      GlassView.prototype.clearRubTimeout = function() {
+        if (this.rubTimeout != null) {
+          window.clearTimeout(this.rubTimeout);
+          return this.rubTimeout = null;
+        }
+      };
+
+      GlassView.prototype.longPress = function(event, id) {
+        var _ref;
+        if ((_ref = this.touchModes[id]) === 'fill' || _ref === 'preview') {
+          this.touchModes[id] = 'strike';
+          this.hoverLeave();
+          return this.strike(0.5);
+        }
+      };
+
+      GlassView.prototype.doubleTap = function(event) {
+        if (!this.model.get('locked') && (this.shapeHeightAt(event.localPoint) != null)) {
+          return this.fillToHeight(0);
+        }
+      };
+
+      GlassView.prototype.minSize = 0.5;
+
+      GlassView.prototype.pinch = function(scale) {
+        var id, _ref;
+        if (this.model.get('locked')) {
+          return;
+        }
+        if (this.pinchSize == null) {
+          this.pinchSize = (_ref = this.model.get('size')) != null ? _ref : 1;
+          for (id in this.touchModes) {
+            this.touchModes[id] = 'pinch';
+          }
+          if (this.pourPoint != null) {
+            this.endPour();
+          }
+          this.hoverLeave();
+        }
+        return this.model.set('size', clamp(this.minSize, 1, this.pinchSize * scale));
+      };
+
+      GlassView.prototype.pinchEnd = function() {
+        return this.pinchSize = null;
+      };
+
+      GlassView.prototype.fillToHeight = function(height) {
         if (height != null) {
           this.model.animateTowardHeight(height);
-          return this.wobbler.wobble(1 * this.model.volumeDifference(height) / this.model.get('width') / this.model.get('height'));
+          return this.wobbler.wobble(1 * this.model.volumeDifference(height) * this.model.volumeScale / this.model.get('width') / this.model.get('height'));
         }
       };
 
-      GlassView.prototype.onMouseMove = function(e) {
-        this.hoverHeight = this.shapeHeightByEvent(e);
+      GlassView.prototype.pourDuration = 300;
+
+      GlassView.prototype.pourRate = function(dy) {
+        var flow;
+        flow = dy > 20 ? -clamp(0, 1, (dy - 20) / 80) : 1;
+        return flow * this.model.volumes[this.model.get('height')] / this.pourDuration;
+      };
+
+      GlassView.prototype.pourMove = function(event) {
+        this.pourPoint = {
+          x: event.localPoint.x,
+          y: event.localPoint.y
+        };
+        this.model.setPourRate(this.pourRate(event.translation.y));
+        return this.updateCanvas();
+      };
+
+      GlassView.prototype.endPour = function() {
+        this.pourPoint = null;
+        this.model.stopPouring();
+        return this.updateCanvas();
+      };
+
+      GlassView.prototype.renderStream = function() {
+        var bottom, x, xCenter;
+        if (!((this.pourPoint != null) && this.model.isPouring())) {
+          return;
+        }
+        xCenter = this.model.get('gadgetWidth') / 2;
+        bottom = this.model.get('gadgetHeight') - 1;
+        this.context.lineWidth = 3 + 2 * Math.random();
+        this.context.strokeStyle = "hsla(" + (this.model.waterHue()) + ", 100%, 50%, 0.5)";
+        this.context.beginPath();
+        if (this.model.pourRate > 0) {
+          x = clamp(xCenter - this.model.topWidth() / 2, xCenter + this.model.topWidth() / 2, this.pourPoint.x);
+          this.context.moveTo(x, this.pourPoint.y);
+          this.context.lineTo(x, bottom - this.model.currentWaterShapeHeight());
+        } else {
+          x = xCenter + this.model.topWidth();
+          this.context.moveTo(x, bottom - this.model.get('height'));
+          this.context.quadraticCurveTo(x + 20, bottom - this.model.get('height'), x + 20, bottom);
+        }
+        return this.context.stroke();
+      };
+
+      GlassView.prototype.strike = function(velocity) {
+        this.model.trigger('playing:strike', velocity);
+        return this.wobbler.wobble(2 * velocity);
+      };
+
+      GlassView.prototype.updatePointerSpeed = function(event) {
+        var distance, duration;
+        if (this.lastPointer != null) {
+          duration = event.timestamp - this.lastPointer.timestamp;
+          if (duration > 0) {
+            distance = Math.sqrt(Math.pow(event.globalPoint.x - this.lastPointer.x, 2) + Math.pow(event.globalPoint.y - this.lastPointer.y, 2));
+            this.pointerSpeed = 0.5 * this.pointerSpeed + 0.5 * distance / duration;
+          }
+        } else {
+          this.pointerSpeed = 0;
+        }
+        return this.lastPointer = {
+          x: event.globalPoint.x,
+          y: event.globalPoint.y,
+          timestamp: event.timestamp
+        };
+      };
+
+      GlassView.prototype.pointerVelocity = function(timestamp) {
+        if ((this.lastPointer == null) || timestamp - this.lastPointer.timestamp > 100) {
+          return 0.2;
+        }
+        return clamp(0.2, 1, this.pointerSpeed / 2);
+      };
+
+      GlassView.prototype.hoverMove = function(event) {
+        this.updatePointerSpeed(event);
+        this.hoverHeight = this.model.get('locked') ? null : this.shapeHeightAt(event.localPoint);
         return this.updateCanvas();
       };
 
-      GlassView.prototype.onMouseLeave = function() {
+      GlassView.prototype.hoverLeave = function() {
+        this.lastPointer = null;
         this.hoverHeight = null;
         return this.updateCanvas();
       };
 
+      GlassView.prototype.remove = function() {
+        if (this.pourPoint != null) {
+          this.endPour();
+        }
+        this.gestures.remove();
+        this.fingerTouchable.remove();
+        this.gauge.remove();
+        this.removeShapeEditor();
+        this.clearFingerInterval();
+        this.clearRubTimeout();
+        this.wobbler.clearInterval();
+        this.soundView.remove();
+        return GlassView.__super__.remove.apply(this, arguments);
+      };
+
       GlassView.prototype.render = function() {
-        this.$el.append("<canvas class=\"glass-view-canvas\"></canvas>\n<img class=\"glass-view-finger\" src=\"assets/finger-small.png\"></img>\n\n<style type=\"text/css\">\n  .glass-view {\n    position: relative;\n    overflow: hidden;\n  }\n\n  .glass-view-finger {\n    position: absolute;\n    margin-left: -25px;\n    margin-bottom: -2px;\n    opacity: 0.1;\n    cursor: pointer;\n  }\n\n  .glass-view-finger:hover {\n    opacity: 0.4;\n  }\n\n  .glass-view-finger-active {\n    opacity: 0.7;\n  }\n\n  .glass-view-finger-active:hover {\n    opacity: 1.0;\n  }\n</style>");
+        this.$el.append("<canvas class=\"glass-view-canvas\"></canvas>\n<img class=\"glass-view-finger\" src=\"assets/finger-small.png\"></img>\n<div class=\"glass-view-gauge\"></div>\n\n<style type=\"text/css\">\n  .glass-view {\n    position: relative;\n    overflow: hidden;\n  }\n\n  .glass-view-finger {\n    position: absolute;\n    margin-left: -25px;\n    margin-bottom: -2px;\n    opacity: 0.1;\n    cursor: pointer;\n  }\n\n  .glass-view-finger:hover {\n    opacity: 0.4;\n  }\n\n  .glass-view-finger-active {\n    opacity: 0.7;\n  }\n\n  .glass-view-finger-active:hover {\n    opacity: 1.0;\n  }\n\n  .glass-view-gauge {\n    position: absolute;\n    bottom: 1px;\n  }\n</style>");
         this.renderCanvas();
         this.renderFinger();
+        this.renderGauge();
+        this.renderShapeEditor();
         this.updateCanvas();
         return this;
       };
 
+      GlassView.prototype.renderShapeEditor = function() {
+        this.removeShapeEditor();
+        if (this.model.get('editingShape')) {
+          this.shapeEditor = new ShapeEditorView({
+            model: this.model
+          });
+          return this.$el.append(this.shapeEditor.render().$el);
+        }
+      };
+
+      GlassView.prototype.removeShapeEditor = function() {
+        if (this.shapeEditor != null) {
+          this.shapeEditor.remove();
+          return this.shapeEditor = null;
+        }
+      };
+
       GlassView.prototype.renderCanvas = function() {
         this.$canvas = this.$('.glass-view-canvas');
         this.$canvas.attr('width', this.model.get('gadgetWidth'));
         this.$canvas.attr('height', this.model.get('gadgetHeight'));
+        this.touchModes = {};
+        this.rimVelocities = {};
+        this.gestures = new clayer.Gestures(this.$canvas, this, {
+          center: $.proxy(this.rimCenter, this)
+        });
+        this.gestures.setTouchable(true);
+        this.gestures.setHoverable(true);
         return this.context = this.$canvas[0].getContext('2d');
       };
 
       GlassView.prototype.renderFinger = function() {
         this.$finger = this.$('.glass-view-finger');
-        this.$finger.css('bottom', this.model.get('height'));
+        this.positionFinger();
+        this.fingerTouchable = new clayer.Touchable(this.$finger, {
+          touchDown: $.proxy(this.onClickFinger, this)
+        });
+        this.fingerTouchable.setTouchable(true);
+        if (this.model.get('playing')) {
+          this.startPlaying();
+        }
         return this.updateFinger();
       };
 
+      GlassView.prototype.positionFinger = function() {
+        if (this.$finger != null) {
+          return this.$finger.css('bottom', this.model.get('height'));
+        }
+      };
+
+      GlassView.prototype.renderGauge = function() {
+        this.$gauge = this.$('.glass-view-gauge');
+        this.gauge = new clayer.Slider(this.$gauge, {
+          sliderChanged: $.proxy(this.onGaugeChanged, this)
+        }, 1, {
+          orientation: 'vertical',
+          max: this.model.get('height'),
+          snap: true,
+          label: 'Water level'
+        });
+        this.updateGaugeRange();
+        return this.gauge.setValue(this.model.currentWaterShapeHeight());
+      };
+
+      GlassView.prototype.gaugeLabelWidth = 300;
+
+      GlassView.prototype.updateGauge = function() {
+        if (this.gauge == null) {
+          return;
+        }
+        if (!(_.size(this.model.changed) === 1 && _.has(this.model.changed, 'waterVolume'))) {
+          this.updateGaugeRange();
+        }
+        return this.gauge.setValue(this.model.currentWaterShapeHeight());
+      };
+
+      GlassView.prototype.updateGaugeRange = function() {
+        var labels, note;
+        this.$gauge.toggle(this.model.showsReadout('gauge'));
+        this.gauge.setEnabled(!this.model.get('locked'));
+        labels = this.model.get('gadgetWidth') >= this.gaugeLabelWidth;
+        this.$gauge.css({
+          right: labels ? 36 : 4,
+          height: this.model.get('height')
+        });
+        this.gauge.setRange(0, this.model.get('height'));
+        return this.gauge.setTicks((function() {
+          var _i, _len, _ref, _results;
+          _ref = this.model.noteHeights();
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            note = _ref[_i];
+            _results.push({
+              value: note.height,
+              label: labels && note.name.indexOf('#') < 0 ? note.name : void 0
+            });
+          }
+          return _results;
+        }).call(this));
+      };
+
+      GlassView.prototype.onGaugeChanged = function(height, down) {
+        if (!down) {
+          return;
+        }
+        this.model.stopPouring();
+        this.model.clearFillInterval();
+        return this.model.set('waterVolume', this.model.volumeForHeight(height));
+      };
+
       GlassView.prototype.startPlaying = function() {
         var _this = this;
         this.$finger.addClass('glass-view-finger-active');
@@ -927,10 +2296,14 @@
       };
 
       GlassView.prototype.onClickFinger = function() {
-        if (this.fingerTime != null) {
-          this.stopPlaying();
-        } else {
+        return this.model.set('playing', this.fingerTime == null);
+      };
+
+      GlassView.prototype.onPlayingChange = function(model, playing) {
+        if (playing && (this.fingerTime == null)) {
           this.startPlaying();
+        } else if (!playing && (this.fingerTime != null)) {
+          this.stopPlaying();
         }
         return this.updateFinger();
       };
@@ -938,8 +2311,10 @@
       GlassView.prototype.updateCanvas = function() {
         this.clearCanvas();
         this.renderWater();
+        this.renderStream();
         this.renderHover();
         this.renderGlass();
+        this.renderVolume();
         return this.renderFrequency();
       };
 
@@ -975,31 +2350,103 @@
       };
 
       GlassView.prototype.renderFrequency = function() {
-        var text, volume, x, y;
+        var cents, text, volume, x, y;
         x = this.model.get('gadgetWidth') / 2;
         y = this.model.get('gadgetHeight') - this.model.get('height') / 2;
         this.context.textAlign = 'center';
         this.context.fillStyle = "rgba(100, 100, 100, 0.5)";
-        this.context.font = "Bold 28px Arial";
-        text = Math.round(this.model.waterToneFrequency(this.model.get('waterVolume'))) + ' Hz';
-        this.context.fillText(text, x, y - 12);
-        this.context.font = "Bold 24px Arial";
-        text = this.model.waterNoteName(this.model.get('waterVolume'));
-        this.context.fillText(text, x, y + 12);
+        if (this.model.get('targetNote') != null) {
+          cents = this.model.targetCents(this.model.get('waterVolume'));
+          this.context.font = "Bold 14px Arial";
+          if (Math.abs(cents) < this.inTuneCents) {
+            this.context.fillStyle = "rgba(0, 160, 0, 0.8)";
+            text = 'Target ' + this.model.get('targetNote') + ': in tune';
+          } else {
+            text = 'Target ' + this.model.get('targetNote') + ': ' + this.centsText(cents);
+          }
+          this.context.fillText(text, x, y - 44);
+          this.context.fillStyle = "rgba(100, 100, 100, 0.5)";
+        }
+        if (this.model.showsReadout('frequency')) {
+          this.context.font = "Bold 28px Arial";
+          text = Math.round(this.model.waterToneFrequency(this.model.get('waterVolume'))) + ' Hz';
+          this.context.fillText(text, x, y - 12);
+        }
+        if (this.model.showsReadout('note')) {
+          this.context.font = "Bold 24px Arial";
+          text = this.model.waterNoteOctaveName(this.model.get('waterVolume'));
+          this.context.fillText(text, x, y + 12);
+          this.context.font = "Bold 14px Arial";
+          text = this.centsText(this.model.waterNoteCents(this.model.get('waterVolume')));
+          this.context.fillText(text, x, y + 32);
+        }
+        if (this.model.showsReadout('tuner')) {
+          this.renderTuner(x, y + 46);
+        }
         if (this.hoverHeight != null) {
           x = this.model.get('gadgetWidth') / 2 + this.model.xFromCenterForShape(this.hoverHeight) + 8;
           y = this.model.get('gadgetHeight') - this.hoverHeight;
           volume = this.model.volumeForHeight(this.hoverHeight);
           this.context.textAlign = 'left';
-          this.context.font = "Bold 16px Arial";
-          text = Math.round(this.model.waterToneFrequency(volume)) + ' Hz';
-          this.context.fillText(text, x, y);
-          this.context.font = "Bold 14px Arial";
-          text = this.model.waterNoteName(volume);
-          return this.context.fillText(text, x, y + 15);
+          if (this.model.showsReadout('frequency')) {
+            this.context.font = "Bold 16px Arial";
+            text = Math.round(this.model.waterToneFrequency(volume)) + ' Hz';
+            this.context.fillText(text, x, y);
+          }
+          if (this.model.showsReadout('note')) {
+            this.context.font = "Bold 14px Arial";
+            text = this.model.waterNoteOctaveName(volume);
+            return this.context.fillText(text, x, y + 15);
+          }
         }
       };
 
+      GlassView.prototype.renderVolume = function() {
+        var waterHeight, x, y;
+        waterHeight = this.model.currentWaterShapeHeight();
+        if (waterHeight === 0 || !this.model.showsReadout('volume')) {
+          return;
+        }
+        x = this.model.get('gadgetWidth') / 2 - this.model.xFromCenterForShape(waterHeight) - 8;
+        y = this.model.get('gadgetHeight') - waterHeight;
+        this.context.textAlign = 'right';
+        this.context.fillStyle = "rgba(100, 100, 100, 0.5)";
+        this.context.font = "Bold 14px Arial";
+        return this.context.fillText(Math.round(this.model.waterMillilitres()) + ' ml', x, y + 5);
+      };
+
+      GlassView.prototype.inTuneCents = 5;
+
+      GlassView.prototype.centsText = function(cents) {
+        cents = Math.round(cents);
+        return (cents > 0 ? '+' : '') + cents + ' cents';
+      };
+
+      GlassView.prototype.renderTuner = function(x, y) {
+        var cents, halfWidth, needleX;
+        cents = this.model.waterNoteCents(this.model.get('waterVolume'));
+        halfWidth = Math.min(50, this.model.get('width') / 3);
+        needleX = x + cents / 50 * halfWidth;
+        this.context.lineWidth = 1;
+        this.context.strokeStyle = "rgba(100, 100, 100, 0.5)";
+        this.context.beginPath();
+        this.context.moveTo(x - halfWidth, y);
+        this.context.lineTo(x + halfWidth, y);
+        this.context.moveTo(x - halfWidth, y - 4);
+        this.context.lineTo(x - halfWidth, y + 4);
+        this.context.moveTo(x, y - 6);
+        this.context.lineTo(x, y + 6);
+        this.context.moveTo(x + halfWidth, y - 4);
+        this.context.lineTo(x + halfWidth, y + 4);
+        this.context.stroke();
+        this.context.lineWidth = 3;
+        this.context.strokeStyle = Math.abs(cents) < this.inTuneCents ? "rgba(0, 160, 0, 0.8)" : "rgba(200, 60, 0, 0.8)";
+        this.context.beginPath();
+        this.context.moveTo(needleX, y - 10);
+        this.context.lineTo(needleX, y + 10);
+        return this.context.stroke();
+      };
+
       GlassView.prototype.drawShape = function(heightLeft, heightRight) {
         var bottom, shapeY, xCenter, _i, _j;
         xCenter = this.model.get('gadgetWidth') / 2;
@@ -1019,115 +2466,1418 @@
       return GlassView;
 
     })(Backbone.View);
+    ShapeEditorView = (function(_super) {
+
+      __extends(ShapeEditorView, _super);
+
+      function ShapeEditorView() {
+        return ShapeEditorView.__super__.constructor.apply(this, arguments);
+      }
+
+      ShapeEditorView.prototype.className = 'glass-shape-editor';
+
+      ShapeEditorView.prototype.profileHeights = [0, 0.2, 0.4, 0.6, 0.8, 1];
+
+      ShapeEditorView.prototype.initialize = function() {
+        this.knobs = [];
+        return this.listenTo(this.model, 'change:profile change:width change:height change:gadgetWidth change:gadgetHeight', this.positionKnobs);
+      };
+
+      ShapeEditorView.prototype.remove = function() {
+        this.removeKnobs();
+        return ShapeEditorView.__super__.remove.apply(this, arguments);
+      };
+
+      ShapeEditorView.prototype.removeKnobs = function() {
+        var knob, _i, _len, _ref;
+        _ref = this.knobs;
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          knob = _ref[_i];
+          knob.remove();
+        }
+        return this.knobs = [];
+      };
+
+      ShapeEditorView.prototype.profile = function() {
+        var formula, y, _ref;
+        formula = this.model.get('formula');
+        return (_ref = this.model.get('profile')) != null ? _ref : (function() {
+          var _i, _len, _ref1, _results;
+          _ref1 = this.profileHeights;
+          _results = [];
+          for (_i = 0, _len = _ref1.length; _i < _len; _i++) {
+            y = _ref1[_i];
+            _results.push(clamp(0, 1, formula(y)));
+          }
+          return _results;
+        }).call(this);
+      };
+
+      ShapeEditorView.prototype.render = function() {
+        var index, _i, _ref,
+          _this = this;
+        this.removeKnobs();
+        this.$el.html("<style type=\"text/css\">\n  .glass-view .glass-shape-editor {\n    position: absolute;\n    left: 0;\n    top: 0;\n    pointer-events: none;\n  }\n\n  .glass-view .glass-shape-editor .clayer-dragknob {\n    display: block;\n    pointer-events: auto;\n  }\n</style>");
+        for (index = _i = 0, _ref = this.profileHeights.length; 0 <= _ref ? _i < _ref : _i > _ref; index = 0 <= _ref ? ++_i : --_i) {
+          (function(index) {
+            var $knob;
+            $knob = $('<div></div>');
+            _this.$el.append($knob);
+            return _this.knobs.push(new clayer.DragKnob($knob, {
+              dragMove: function(x) {
+                return _this.onDragKnob(index, x);
+              }
+            }, _this.$el));
+          })(index);
+        }
+        this.positionKnobs();
+        return this;
+      };
+
+      ShapeEditorView.prototype.positionKnobs = function() {
+        var index, knob, profile, _i, _len, _ref;
+        this.$el.width(this.model.get('gadgetWidth'));
+        this.$el.height(this.model.get('gadgetHeight'));
+        profile = this.profile();
+        _ref = this.knobs;
+        for (index = _i = 0, _len = _ref.length; _i < _len; index = ++_i) {
+          knob = _ref[index];
+          knob.$element.css({
+            left: this.model.get('gadgetWidth') / 2 + profile[index] * this.model.get('width') / 2,
+            top: this.model.get('gadgetHeight') - 1 - this.profileHeights[index] * this.model.get('height')
+          });
+        }
+      };
+
+      ShapeEditorView.prototype.onDragKnob = function(index, x) {
+        var profile;
+        profile = this.profile().slice(0);
+        profile[index] = clamp(0.02, 1.3, Math.abs(x - this.model.get('gadgetWidth') / 2) / (this.model.get('width') / 2));
+        this.model.set('profile', profile);
+        return this.positionKnobs();
+      };
+
+      return ShapeEditorView;
+
+    })(Backbone.View);
+    EnsembleView = (function(_super) {
+
+      __extends(EnsembleView, _super);
+
+      function EnsembleView() {
+        return EnsembleView.__super__.constructor.apply(this, arguments);
+      }
+
+      EnsembleView.prototype.className = 'glass-ensemble-view';
+
+      EnsembleView.prototype.initialize = function() {
+        this.glassViews = [];
+        this.listenTo(this.collection, 'reset add remove', this.render);
+        return this.listenTo(this.collection, 'select', this.updateSelected);
+      };
+
+      EnsembleView.prototype.remove = function() {
+        this.removeGlassViews();
+        return EnsembleView.__super__.remove.apply(this, arguments);
+      };
+
+      EnsembleView.prototype.removeGlassViews = function() {
+        var glassView, _i, _len, _ref;
+        _ref = this.glassViews;
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          glassView = _ref[_i];
+          glassView.remove();
+        }
+        return this.glassViews = [];
+      };
+
+      EnsembleView.prototype.render = function() {
+        var _this = this;
+        this.removeGlassViews();
+        this.$el.html("<style type=\"text/css\">\n  .glass-ensemble-view {\n    white-space: nowrap;\n  }\n\n  .glass-ensemble-view .glass-view {\n    display: inline-block;\n    vertical-align: bottom;\n  }\n\n  .glass-ensemble-view-multiple .glass-view-selected {\n    background-color: rgba(0, 0, 0, 0.04);\n  }\n</style>");
+        this.collection.each(function(model) {
+          var glassView;
+          glassView = new GlassView({
+            model: model
+          });
+          _this.glassViews.push(glassView);
+          return _this.$el.append(glassView.render().$el);
+        });
+        this.updateSelected();
+        return this;
+      };
+
+      EnsembleView.prototype.updateSelected = function() {
+        var glassView, _i, _len, _ref;
+        this.$el.toggleClass('glass-ensemble-view-multiple', this.collection.length > 1);
+        _ref = this.glassViews;
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          glassView = _ref[_i];
+          glassView.$el.toggleClass('glass-view-selected', glassView.model === this.collection.selected());
+        }
+      };
+
+      return EnsembleView;
+
+    })(Backbone.View);
+    WavRenderer = (function() {
+
+      function WavRenderer(glass, options) {
+        this.glass = glass;
+        this.options = _.defaults(options || {}, {
+          sampleRate: 44100,
+          voice: 'bowed'
+        });
+        if (!_.contains(this.voices, this.options.voice)) {
+          throw new Error("Unknown voice '" + this.options.voice + "', expected one of: " + this.voices.join(', '));
+        }
+        this.patch = GlassSoundView.prototype[this.options.voice + 'Patch'];
+      }
+
+      WavRenderer.prototype.voices = ['bowed', 'struck'];
+
+      /*
+      Plays the patches of GlassSoundView offline. The envelopes are linear approximations of timbre's adsr and perc curves.
+      */
+
+
+      WavRenderer.prototype.envelope = function(time, duration) {
+        var level, options;
+        options = this.patch.options;
+        if (this.patch.envelope === 'perc') {
+          if (time < options.a) {
+            return time / options.a;
+          }
+          return Math.max(0, 1 - (time - options.a) / options.r);
+        }
+        level = this.sustainEnvelope(Math.min(time, duration));
+        if (time < duration) {
+          return level;
+        }
+        return level * Math.max(0, 1 - (time - duration) / options.r);
+      };
+
+      WavRenderer.prototype.sustainEnvelope = function(time) {
+        var options;
+        options = this.patch.options;
+        if (time < options.a) {
+          return time / options.a;
+        } else if (time < options.a + options.d) {
+          return 1 - (1 - options.s) * (time - options.a) / options.d;
+        } else {
+          return options.s;
+        }
+      };
+
+      WavRenderer.prototype.noteEvents = function(notes, tempo) {
+        var duration, events, note, number, time, _i, _len;
+        events = [];
+        time = 0;
+        for (_i = 0, _len = notes.length; _i < _len; _i++) {
+          note = notes[_i];
+          duration = note.duration * 60000 / tempo;
+          number = note.note != null ? this.glass.noteNameNumber(note.note) : null;
+          if (number != null) {
+            events.push({
+              start: time,
+              duration: duration,
+              velocity: note.velocity != null ? note.velocity : 1,
+              frequency: this.glass.waterToneFrequency(this.glass.volumes[this.glass.heightForFrequency(this.glass.noteNumberFrequency(number))])
+            });
+          }
+          time += duration;
+        }
+        return events;
+      };
+
+      WavRenderer.prototype.render = function(notes, tempo) {
+        var end, event, events, first, gain, i, last, partial, sample, sampleRate, samples, time, _i, _j, _k, _len, _len1, _len2, _ref;
+        sampleRate = this.options.sampleRate;
+        events = this.noteEvents(notes, tempo);
+        end = 0;
+        for (_i = 0, _len = events.length; _i < _len; _i++) {
+          event = events[_i];
+          end = Math.max(end, event.start + event.duration + this.patch.options.r);
+        }
+        samples = new Float32Array(Math.ceil(end * sampleRate / 1000));
+        for (_j = 0, _len1 = events.length; _j < _len1; _j++) {
+          event = events[_j];
+          first = Math.floor(event.start * sampleRate / 1000);
+          last = Math.min(samples.length, Math.ceil((event.start + event.duration + this.patch.options.r) * sampleRate / 1000));
+          for (i = first; i < last; i++) {
+            time = i / sampleRate * 1000 - event.start;
+            gain = this.envelope(time, event.duration) * event.velocity;
+            if (gain === 0) {
+              continue;
+            }
+            sample = 0;
+            _ref = this.patch.partials;
+            for (_k = 0, _len2 = _ref.length; _k < _len2; _k++) {
+              partial = _ref[_k];
+              sample += partial.mul * Math.sin(2 * Math.PI * event.frequency * partial.ratio * time / 1000);
+            }
+            samples[i] += sample * gain;
+          }
+        }
+        return samples;
+      };
+
+      WavRenderer.prototype.encode = function(samples) {
+        var buffer, i, view, writeString, _i, _ref;
+        buffer = new ArrayBuffer(44 + samples.length * 2);
+        view = new DataView(buffer);
+        writeString = function(offset, string) {
+          var i, _i, _ref;
+          for (i = _i = 0, _ref = string.length; 0 <= _ref ? _i < _ref : _i > _ref; i = 0 <= _ref ? ++_i : --_i) {
+            view.setUint8(offset + i, string.charCodeAt(i));
+          }
+        };
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + samples.length * 2, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, 1, true);
+        view.setUint32(24, this.options.sampleRate, true);
+        view.setUint32(28, this.options.sampleRate * 2, true);
+        view.setUint16(32, 2, true);
+        view.setUint16(34, 16, true);
+        writeString(36, 'data');
+        view.setUint32(40, samples.length * 2, true);
+        for (i = _i = 0, _ref = samples.length; 0 <= _ref ? _i < _ref : _i > _ref; i = 0 <= _ref ? ++_i : --_i) {
+          view.setInt16(44 + i * 2, Math.round(clamp(-1, 1, samples[i]) * 32767), true);
+        }
+        return buffer;
+      };
+
+      WavRenderer.prototype.renderWav = function(notes, tempo) {
+        return this.encode(this.render(notes, tempo));
+      };
+
+      WavRenderer.prototype.renderBlob = function(notes, tempo) {
+        return new Blob([this.renderWav(notes, tempo)], {
+          type: 'audio/wav'
+        });
+      };
+
+      return WavRenderer;
+
+    })();
+    MidiFile = (function() {
+
+      function MidiFile(buffer) {
+        this.data = new DataView(buffer);
+        this.offset = 0;
+        this.tempoChanges = [];
+        this.tracks = [];
+        try {
+          this.parse();
+        } catch (error) {
+          if (error instanceof RangeError) {
+            throw new Error('Invalid or truncated MIDI file');
+          }
+          throw error;
+        }
+      }
+
+      MidiFile.prototype.defaultTempo = 120;
+
+      MidiFile.prototype.readUint8 = function() {
+        return this.data.getUint8(this.offset++);
+      };
+
+      MidiFile.prototype.readUint16 = function() {
+        var value;
+        value = this.data.getUint16(this.offset);
+        this.offset += 2;
+        return value;
+      };
+
+      MidiFile.prototype.readUint32 = function() {
+        var value;
+        value = this.data.getUint32(this.offset);
+        this.offset += 4;
+        return value;
+      };
+
+      MidiFile.prototype.readString = function(length) {
+        var i, string, _i;
+        string = '';
+        for (i = _i = 0; 0 <= length ? _i < length : _i > length; i = 0 <= length ? ++_i : --_i) {
+          string += String.fromCharCode(this.readUint8());
+        }
+        return string;
+      };
+
+      MidiFile.prototype.readVarInt = function() {
+        var byte, value;
+        value = 0;
+        while (true) {
+          byte = this.readUint8();
+          value = (value << 7) | (byte & 0x7f);
+          if (!(byte & 0x80)) {
+            return value;
+          }
+        }
+      };
+
+      MidiFile.prototype.parse = function() {
+        var end, format, i, length, trackCount, _i;
+        if (this.data.byteLength < 14 || this.readString(4) !== 'MThd') {
+          throw new Error('Not a Standard MIDI File');
+        }
+        length = this.readUint32();
+        format = this.readUint16();
+        trackCount = this.readUint16();
+        this.division = this.readUint16();
+        this.offset = 8 + length;
+        if (format > 1) {
+          throw new Error('Only MIDI file types 0 and 1 are supported');
+        }
+        if (this.division & 0x8000) {
+          throw new Error('SMPTE time division is not supported');
+        }
+        for (i = _i = 0; 0 <= trackCount ? _i < trackCount : _i > trackCount; i = 0 <= trackCount ? ++_i : --_i) {
+          if (this.offset + 8 > this.data.byteLength) {
+            break;
+          }
+          if (this.readString(4) !== 'MTrk') {
+            throw new Error('Invalid MIDI track chunk');
+          }
+          length = this.readUint32();
+          end = Math.min(this.offset + length, this.data.byteLength);
+          this.tracks.push(this.parseTrack(end));
+          this.offset = end;
+        }
+        this.tempoChanges = _.sortBy(this.tempoChanges, 'ticks');
+        return this.tempo = this.tempoAt(0);
+      };
+
+      MidiFile.prototype.tempoAt = function(ticks) {
+        var change, tempo, _i, _len, _ref;
+        tempo = this.defaultTempo;
+        _ref = this.tempoChanges;
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          change = _ref[_i];
+          if (change.ticks > ticks) {
+            break;
+          }
+          tempo = change.tempo;
+        }
+        return tempo;
+      };
+
+      MidiFile.prototype.beatsBetween = function(start, end) {
+        var beats, change, position, _i, _len, _ref;
+        beats = 0;
+        position = start;
+        _ref = this.tempoChanges;
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          change = _ref[_i];
+          if (change.ticks <= position) {
+            continue;
+          }
+          if (change.ticks >= end) {
+            break;
+          }
+          beats += (change.ticks - position) * this.tempo / this.tempoAt(position);
+          position = change.ticks;
+        }
+        beats += (end - position) * this.tempo / this.tempoAt(position);
+        return beats / this.division;
+      };
+
+      MidiFile.prototype.parseTrack = function(end) {
+        var active, byte, key, kind, length, note, notes, number, status, ticks, type, velocity;
+        ticks = 0;
+        status = null;
+        active = {};
+        notes = [];
+        while (this.offset < end) {
+          ticks += this.readVarInt();
+          byte = this.readUint8();
+          if (byte === 0xff) {
+            type = this.readUint8();
+            length = this.readVarInt();
+            if (type === 0x51 && length === 3) {
+              this.tempoChanges.push({
+                ticks: ticks,
+                tempo: 60000000 / ((this.data.getUint8(this.offset) << 16) | (this.data.getUint8(this.offset + 1) << 8) | this.data.getUint8(this.offset + 2))
+              });
+            }
+            this.offset += length;
+            continue;
+          }
+          if (byte === 0xf0 || byte === 0xf7) {
+            this.offset += this.readVarInt();
+            continue;
+          }
+          if (byte & 0x80) {
+            status = byte;
+          } else if (status != null) {
+            this.offset--;
+          } else {
+            throw new Error('Invalid MIDI running status');
+          }
+          kind = status & 0xf0;
+          if (kind === 0x80 || kind === 0x90) {
+            number = this.readUint8();
+            velocity = this.readUint8();
+            key = (status & 0x0f) * 128 + number;
+            if (active[key] != null) {
+              active[key].end = ticks;
+              notes.push(active[key]);
+              delete active[key];
+            }
+            if (kind === 0x90 && velocity > 0) {
+              active[key] = {
+                number: number,
+                velocity: velocity,
+                start: ticks
+              };
+            }
+          } else if (kind === 0xc0 || kind === 0xd0) {
+            this.offset += 1;
+          } else {
+            this.offset += 2;
+          }
+        }
+        for (key in active) {
+          note = active[key];
+          note.end = ticks;
+          notes.push(note);
+        }
+        return _.sortBy(notes, function(note) {
+          return note.start * 128 - note.number;
+        });
+      };
+
+      MidiFile.prototype.melodyNotes = function(trackIndex) {
+        var last, note, notes, track, _i, _len;
+        track = trackIndex != null ? this.tracks[trackIndex] : _.find(this.tracks, function(track) {
+          return track.length > 0;
+        });
+        if (!((track != null) && track.length > 0)) {
+          throw new Error('No notes found in MIDI track');
+        }
+        notes = [];
+        for (_i = 0, _len = track.length; _i < _len; _i++) {
+          note = track[_i];
+          last = notes[notes.length - 1];
+          if ((last != null) && last.start === note.start) {
+            continue;
+          }
+          notes.push(note);
+        }
+        return notes;
+      };
+
+      MidiFile.prototype.glassNoteNumber = function(midiNumber, octaveShift) {
+        return midiNumber - 20 + 12 * octaveShift;
+      };
+
+      MidiFile.prototype.octaveShift = function(notes, glass) {
+        var best, bestCount, count, note, shift, _i, _j, _len;
+        best = 0;
+        bestCount = -1;
+        for (shift = _i = -4; _i <= 4; shift = ++_i) {
+          count = 0;
+          for (_j = 0, _len = notes.length; _j < _len; _j++) {
+            note = notes[_j];
+            if (glass.isPlayableFrequency(glass.noteNumberFrequency(this.glassNoteNumber(note.number, shift)))) {
+              count++;
+            }
+          }
+          if (count > bestCount || (count === bestCount && Math.abs(shift) < Math.abs(best))) {
+            best = shift;
+            bestCount = count;
+          }
+        }
+        return best;
+      };
+
+      MidiFile.prototype.song = function(glass, trackIndex) {
+        var cursor, end, index, melody, next, note, notes, number, shift, _i, _len;
+        notes = this.melodyNotes(trackIndex);
+        shift = this.octaveShift(notes, glass);
+        melody = [];
+        cursor = notes[0].start;
+        for (index = _i = 0, _len = notes.length; _i < _len; index = ++_i) {
+          note = notes[index];
+          next = notes[index + 1];
+          if (note.start > cursor) {
+            melody.push({
+              note: null,
+              duration: this.beatsBetween(cursor, note.start)
+            });
+          }
+          end = next != null ? Math.min(note.end, next.start) : note.end;
+          number = this.glassNoteNumber(note.number, shift);
+          melody.push({
+            note: glass.noteNumberName(number),
+            duration: this.beatsBetween(note.start, end),
+            outOfRange: !glass.isPlayableFrequency(glass.noteNumberFrequency(number))
+          });
+          cursor = end;
+        }
+        return {
+          tempo: this.tempo,
+          melody: melody
+        };
+      };
+
+      return MidiFile;
+
+    })();
+    Sequencer = (function(_super) {
+
+      __extends(Sequencer, _super);
+
+      function Sequencer() {
+        return Sequencer.__super__.constructor.apply(this, arguments);
+      }
+
+      Sequencer.prototype.defaults = {
+        state: 'stopped',
+        position: 0,
+        tempo: 100,
+        song: null
+      };
+
+      Sequencer.prototype.songs = [
+        {
+          title: 'Twinkle, Twinkle, Little Star',
+          tempo: 110,
+          melody: 'C5 C5 G5 G5 A5 A5 G5:2 F5 F5 E5 E5 D5 D5 C5:2 G5 G5 F5 F5 E5 E5 D5:2 G5 G5 F5 F5 E5 E5 D5:2 C5 C5 G5 G5 A5 A5 G5:2 F5 F5 E5 E5 D5 D5 C5:2'
+        }, {
+          title: 'Ode to Joy',
+          tempo: 120,
+          melody: 'E5 E5 F5 G5 G5 F5 E5 D5 C5 C5 D5 E5 E5:1.5 D5:0.5 D5:2 E5 E5 F5 G5 G5 F5 E5 D5 C5 C5 D5 E5 D5:1.5 C5:0.5 C5:2'
+        }, {
+          title: 'Mary Had a Little Lamb',
+          tempo: 120,
+          melody: 'E5 D5 C5 D5 E5 E5 E5:2 D5 D5 D5:2 E5 G5 G5:2 E5 D5 C5 D5 E5 E5 E5 E5 D5 D5 E5 D5 C5:4'
+        }, {
+          title: 'Hot Cross Buns',
+          tempo: 100,
+          melody: 'E5 D5 C5:2 E5 D5 C5:2 C5:0.5 C5:0.5 C5:0.5 C5:0.5 D5:0.5 D5:0.5 D5:0.5 D5:0.5 E5 D5 C5:2'
+        }
+      ];
+
+      Sequencer.prototype.initialize = function(attributes, options) {
+        return this.glasses = options.glasses;
+      };
+
+      Sequencer.prototype.parseMelody = function(melody) {
+        var duration, name, token, _i, _len, _ref, _ref1, _results;
+        _ref = melody.split(/\s+/);
+        _results = [];
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          token = _ref[_i];
+          if (!(token.length > 0)) {
+            continue;
+          }
+          _ref1 = token.split(':'), name = _ref1[0], duration = _ref1[1];
+          _results.push({
+            note: name === 'R' ? null : name,
+            duration: duration != null ? parseFloat(duration) : 1
+          });
+        }
+        return _results;
+      };
+
+      Sequencer.prototype.load = function(song) {
+        this.stop();
+        return this.set({
+          song: {
+            title: song.title,
+            notes: typeof song.melody === 'string' ? this.parseMelody(song.melody) : song.melody
+          },
+          tempo: song.tempo || this.defaults.tempo
+        });
+      };
+
+      Sequencer.prototype.playingGlass = null;
+
+      Sequencer.prototype.glass = function() {
+        return this.glasses.selected();
+      };
+
+      Sequencer.prototype.play = function() {
+        if (this.get('song') == null || this.get('state') === 'playing') {
+          return;
+        }
+        this.playingGlass = this.glass();
+        this.set('state', 'playing');
+        return this.playNote();
+      };
+
+      Sequencer.prototype.pause = function() {
+        if (this.get('state') !== 'playing') {
+          return;
+        }
+        this.clearNoteTimeout();
+        this.playingGlass.set('playing', false);
+        return this.set('state', 'paused');
+      };
+
+      Sequencer.prototype.stop = function() {
+        this.clearNoteTimeout();
+        if (this.get('state') === 'playing') {
+          this.playingGlass.set('playing', false);
+        }
+        this.playingGlass = null;
+        return this.set({
+          state: 'stopped',
+          position: 0
+        });
+      };
+
+      Sequencer.prototype.playNote = function() {
+        var note,
+          _this = this;
+        note = this.get('song').notes[this.get('position')];
+        if (note == null) {
+          return this.stop();
+        }
+        if (note.note != null) {
+          this.playingGlass.tuneTo(note.note, true);
+          this.playingGlass.set('playing', false);
+          this.playingGlass.set('playing', true);
+        } else {
+          this.playingGlass.set('playing', false);
+        }
+        return this.noteTimeout = window.setTimeout((function() {
+          _this.noteTimeout = null;
+          _this.set('position', _this.get('position') + 1);
+          return _this.playNote();
+        }), note.duration * 60000 / this.get('tempo'));
+      };
+
+      Sequencer.prototype.clearNoteTimeout = function() {
+        if (this.noteTimeout != null) {
+          window.clearTimeout(this.noteTimeout);
+          return this.noteTimeout = null;
+        }
+      };
+
+      return Sequencer;
+
+    })(Backbone.Model);
+    SequencerView = (function(_super) {
+
+      __extends(SequencerView, _super);
+
+      function SequencerView() {
+        return SequencerView.__super__.constructor.apply(this, arguments);
+      }
+
+      SequencerView.prototype.className = 'glass-sequencer-view';
+
+      SequencerView.prototype.events = {
+        'change .glass-sequencer-song': 'onChangeSong',
+        'click .glass-sequencer-play': 'onClickPlay',
+        'click .glass-sequencer-pause': 'onClickPause',
+        'click .glass-sequencer-stop': 'onClickStop',
+        'change .glass-sequencer-midi': 'onChangeMidi',
+        'click .glass-sequencer-export': 'onClickExport'
+      };
+
+      SequencerView.prototype.initialize = function() {
+        this.listenTo(this.model, 'change:song', this.renderNotes);
+        this.listenTo(this.model, 'change:position', this.updateCursor);
+        return this.listenTo(this.model, 'change:state', this.updateButtons);
+      };
+
+      SequencerView.prototype.render = function() {
+        var index, song, _i, _len, _ref;
+        this.$el.html("<select class=\"glass-sequencer-song\"></select>\n<button class=\"glass-sequencer-play\">Play</button>\n<button class=\"glass-sequencer-pause\">Pause</button>\n<button class=\"glass-sequencer-stop\">Stop</button>\n<button class=\"glass-sequencer-export\">Export WAV</button>\n<input type=\"file\" accept=\".mid,.midi\" class=\"glass-sequencer-midi\" />\n<span class=\"glass-sequencer-error\"></span>\n<div class=\"glass-sequencer-notes\"></div>\n\n<style type=\"text/css\">\n  .glass-sequencer-view {\n    margin: 10px 55px;\n  }\n\n  .glass-sequencer-notes {\n    margin-top: 8px;\n    font: 12px Arial;\n    color: #888;\n  }\n\n  .glass-sequencer-note {\n    display: inline-block;\n    padding: 2px 3px;\n  }\n\n  .glass-sequencer-note-current {\n    color: #000;\n    background-color: rgba(0, 0, 0, 0.1);\n  }\n\n  .glass-sequencer-note-out-of-range {\n    color: #c33;\n    text-decoration: line-through;\n  }\n\n  .glass-sequencer-error {\n    color: #c33;\n    font: 12px Arial;\n  }\n</style>");
+        this.$song = this.$('.glass-sequencer-song');
+        _ref = this.model.songs;
+        for (index = _i = 0, _len = _ref.length; _i < _len; index = ++_i) {
+          song = _ref[index];
+          this.$song.append($('<option></option>').val(index).text(song.title));
+        }
+        if (this.model.get('song') == null) {
+          this.model.load(this.model.songs[0]);
+        }
+        this.renderNotes();
+        this.updateButtons();
+        return this;
+      };
+
+      SequencerView.prototype.renderNotes = function() {
+        var $notes, note, _i, _len, _ref;
+        $notes = this.$('.glass-sequencer-notes').empty();
+        _ref = this.model.get('song').notes;
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          note = _ref[_i];
+          $notes.append($('<span class="glass-sequencer-note"></span>').text(note.note || '-').toggleClass('glass-sequencer-note-out-of-range', !!note.outOfRange));
+        }
+        return this.updateCursor();
+      };
+
+      SequencerView.prototype.updateCursor = function() {
+        var $notes;
+        $notes = this.$('.glass-sequencer-note').removeClass('glass-sequencer-note-current');
+        if (this.model.get('state') !== 'stopped') {
+          return $notes.eq(this.model.get('position')).addClass('glass-sequencer-note-current');
+        }
+      };
+
+      SequencerView.prototype.updateButtons = function() {
+        var state;
+        state = this.model.get('state');
+        this.$('.glass-sequencer-play').prop('disabled', state === 'playing');
+        this.$('.glass-sequencer-pause').prop('disabled', state !== 'playing');
+        this.$('.glass-sequencer-stop').prop('disabled', state === 'stopped');
+        return this.updateCursor();
+      };
+
+      SequencerView.prototype.onChangeSong = function() {
+        return this.model.load(this.model.songs[parseInt(this.$song.val(), 10)]);
+      };
+
+      SequencerView.prototype.onChangeMidi = function(e) {
+        var file, reader,
+          _this = this;
+        file = e.target.files[0];
+        if (file == null) {
+          return;
+        }
+        reader = new FileReader;
+        reader.onload = function() {
+          var song;
+          try {
+            song = new MidiFile(reader.result).song(_this.model.glass());
+          } catch (error) {
+            return _this.$('.glass-sequencer-error').text(error.message);
+          }
+          _this.$('.glass-sequencer-error').text('');
+          song.title = file.name;
+          return _this.model.load(song);
+        };
+        return reader.readAsArrayBuffer(file);
+      };
+
+      SequencerView.prototype.revokeDelay = 10000;
+
+      SequencerView.prototype.onClickExport = function() {
+        var $link, blob, song, url;
+        song = this.model.get('song');
+        blob = new WavRenderer(this.model.glass()).renderBlob(song.notes, this.model.get('tempo'));
+        url = URL.createObjectURL(blob);
+        $link = $('<a></a>').attr({
+          href: url,
+          download: (song.title || 'glass') + '.wav'
+        });
+        this.$el.append($link);
+        $link[0].click();
+        $link.remove();
+        return window.setTimeout((function() {
+          return URL.revokeObjectURL(url);
+        }), this.revokeDelay);
+      };
+
+      SequencerView.prototype.onClickPlay = function() {
+        return this.model.play();
+      };
+
+      SequencerView.prototype.onClickPause = function() {
+        return this.model.pause();
+      };
+
+      SequencerView.prototype.onClickStop = function() {
+        return this.model.stop();
+      };
+
+      return SequencerView;
+
+    })(Backbone.View);
+    Binding = (function() {
+
+      _.extend(Binding.prototype, Backbone.Events);
+
+      function Binding(widget, options) {
+        var callback, event, object, _i, _len, _ref,
+          _this = this;
+        this.widget = widget;
+        this.options = options;
+        this.writing = false;
+        callback = (_ref = options.callback) != null ? _ref : 'sliderChanged';
+        this.widget.callbacks = _.extend({}, this.widget.callbacks);
+        this.widget.callbacks[callback] = function(value) {
+          return _this.write(value);
+        };
+        _ref = options.sources || [];
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          object = _ref[_i][0], event = _ref[_i][1];
+          this.listenTo(object, event, this.read);
+        }
+        this.read();
+      }
+
+      Binding.prototype.read = function() {
+        var value;
+        if (this.writing) {
+          return;
+        }
+        value = this.options.get();
+        if (value != null) {
+          return this.widget.setValue(value);
+        }
+      };
+
+      Binding.prototype.write = function(value) {
+        this.writing = true;
+        try {
+          return this.options.set(value);
+        } finally {
+          this.writing = false;
+        }
+      };
+
+      Binding.prototype.remove = function() {
+        return this.stopListening();
+      };
+
+      return Binding;
+
+    })();
     return Main = (function() {
 
       function Main(facade, properties, $el) {
+        var _this = this;
         this.facade = facade;
         this.properties = properties;
         this.$el = $el;
+        this.scheduleSave = _.debounce((function() {
+          return _this.save();
+        }), this.saveDelay);
         this.facade.on('configure', this.onConfigure, this);
         this.facade.on('configChange', this.onConfigurationChange, this);
         this.facade.on('render', this.onRender, this);
         this.onConfigurationChange(this.properties);
-        this.facade.trigger("save", this.properties);
-        this.facade.trigger("registerPropertySheet", {
+        this.save();
+        presets.on('register', this.registerPropertySheet, this);
+        this.registerPropertySheet();
+      }
+
+      Main.prototype.registerPropertySheet = function() {
+        return this.facade.trigger("registerPropertySheet", {
           winePercentage: {
             type: 'Range',
             min: 0,
             max: 100
           },
-          bladiebla: 'Password',
-          sometext: {
-            type: 'Text',
-            dataType: 'email'
-          },
-          textarea: {
-            type: 'TextArea',
-            validators: ['required']
+          glassCount: {
+            type: 'Range',
+            min: 1,
+            max: 12
           },
-          checkbox: 'Checkbox',
-          options: {
+          preset: {
             type: 'Select',
-            options: ['aasdf asdf asdf asdf asdf asdf asdf asdf asdf asdf asdf asdf asdf ', 'b', 'c']
+            options: presets.names()
           },
-          radio: {
-            type: 'Radio',
-            options: ['a', 'b', 'c']
+          pitchModel: {
+            type: 'Select',
+            options: _.keys(GlassModel.prototype.pitchModels)
           },
-          checkboxes: {
-            type: 'Checkboxes',
-            options: ['aqqqqaqqqqaqqqqaqqqqaqqqqaqqqqaqqqqaqqqqaqqqqaqqqqaqqqqaqqqq', 'b', 'c']
+          glassRadius: this.numberField(),
+          glassWallThickness: this.numberField(),
+          glassDensity: this.numberField(),
+          fluidDensity: this.numberField(),
+          volumeMode: {
+            type: 'Select',
+            options: GlassModel.prototype.volumeModes
           },
-          date: {
-            type: 'Date',
-            yearStart: 1990,
-            yearEnd: 2020
+          pixelsPerCentimetre: this.numberField(),
+          baseFrequency: this.numberField(this.baseFrequencyRange),
+          massPerVolume: this.numberField(this.massPerVolumeRange, 0.0001),
+          glassSize: {
+            type: 'Range',
+            min: this.glassSizeRange[0],
+            max: this.glassSizeRange[1]
           },
-          dateTime: {
-            type: 'DateTime',
-            minsInterval: 10
+          borderColor: 'Color',
+          waterColorMode: {
+            type: 'Select',
+            options: GlassModel.prototype.waterColorModes
           },
-          someRange: {
-            type: 'Range',
-            min: -10,
-            max: 10,
-            step: 4
+          readouts: {
+            type: 'Checkboxes',
+            options: GlassModel.prototype.readouts
           },
-          number: 'Number',
-          borderColor: 'Color'
+          locked: 'Checkbox'
         });
-      }
+      };
 
       Main.prototype.onRender = function() {
-        this.$el.append(this.glassView().render().$el);
+        this.$el.append(this.ensembleView().render().$el);
+        var $author = this.$authorControls = $('<div class="glass-author-controls"></div>');
+        $author.css('margin-left', 55);
+        this.$el.append($author);
         var $slider = $('<div/>');
         $slider.css('padding-top', 30);
         $slider.css('padding-bottom', 30);
-        $slider.css('margin-left', 55);
         $slider.css('margin-top', 10);
         $slider.css('max-width', 300);
-        this.$el.append($slider);
+        $author.append($slider);
         var that = this;
-        var slider = new clayer.Slider($slider, {sliderChanged: function(value) {
-          that.properties.winePercentage = 100 - value / $slider.width() * 100;
-          that.glassModel().set('formula', that.makeFormula(that.properties.winePercentage / 100));
-        }});
+        var slider = new clayer.Slider($slider, {}, 1, {min: 0, max: 100, label: 'Glass shape'});
+        this.shapeBinding = new Binding(slider, {
+          get: function() { var config = that.glassConfig(); return config && 100 - config.winePercentage; },
+          set: function(value) { that.setWinePercentage(100 - value); },
+          sources: [[this.facade, 'configChange'], [this.glassCollection(), 'select reset change:formula']]
+        });
+        var $editShape = $('<button>Edit shape</button>');
+        $editShape.on('click', function() {
+          that.glassModel().set('editingShape', !that.glassModel().get('editingShape'));
+        });
+        $author.append($editShape);
+        var $targetNote = this.$targetNote = $('<input type="text" size="4" placeholder="C5"/>');
+        $targetNote.on('change', function() {
+          that.setTargetNote($targetNote.val());
+        });
+        $author.append($('<label> Target note </label>').css('display', 'inline-block').append($targetNote));
+        var $locked = this.$locked = $('<input type="checkbox"/>');
+        $locked.on('change', function() {
+          that.setProperty('locked', $locked.prop('checked'));
+        });
+        $author.append($('<label> Lock learner controls</label>').css('display', 'block').prepend($locked));
+        var $readouts = this.$readouts = $('<div>Readouts:</div>');
+        _.each(GlassModel.prototype.readouts, function(readout) {
+          var $checkbox = $('<input type="checkbox"/>').val(readout);
+          $readouts.append($('<label> ' + readout + '</label>').css({display: 'inline-block', marginLeft: 10}).prepend($checkbox));
+        });
+        $readouts.on('change', 'input', function() {
+          that.setProperty('readouts', $readouts.find('input:checked').map(function() { return this.value; }).get());
+        });
+        $author.append($readouts);
+        this.updateAuthorControls();
+        this.$el.append(this.sequencerView().render().$el);
         return this.$el;
       };
 
-      Main.prototype.glassView = function() {
-        return new GlassView({
-          model: this.glassModel()
+      Main.prototype.editable = false;
+
+      Main.prototype.updateAuthorControls = function() {
+        var config, readouts, _ref;
+        if (this.$authorControls == null) {
+          return;
+        }
+        this.$authorControls.toggle(this.editable);
+        if (this.editable) {
+          this.shapeBinding.read();
+        }
+        config = this.glassConfig();
+        this.$targetNote.val((_ref = config != null ? config.targetNote : void 0) != null ? _ref : '');
+        this.$locked.prop('checked', this.properties.locked);
+        readouts = this.properties.readouts;
+        return this.$readouts.find('input').each(function() {
+          return $(this).prop('checked', _.contains(readouts, this.value));
         });
       };
 
-      Main.prototype.glassModel = function() {
+      Main.prototype.setProperty = function(key, value) {
+        this.properties[key] = value;
+        this.onConfigurationChange(this.properties);
+        return this.scheduleSave();
+      };
+
+      Main.prototype.setTargetNote = function(name) {
+        var config;
+        config = this.glassConfig();
+        if (config != null) {
+          config.targetNote = name;
+          this.onConfigurationChange(this.properties);
+          return this.scheduleSave();
+        }
+      };
+
+      Main.prototype.sequencer = function() {
         var _ref;
-        return (_ref = this._glassModel) != null ? _ref : this._glassModel = new GlassModel({
-          gadgetWidth: 400,
+        return (_ref = this._sequencer) != null ? _ref : this._sequencer = new Sequencer({}, {
+          glasses: this.glassCollection()
+        });
+      };
+
+      Main.prototype.sequencerView = function() {
+        return new SequencerView({
+          model: this.sequencer()
+        });
+      };
+
+      Main.prototype.ensembleView = function() {
+        return new EnsembleView({
+          collection: this.glassCollection()
+        });
+      };
+
+      Main.prototype.glassCollection = function() {
+        if (this._glassCollection == null) {
+          this._glassCollection = new GlassCollection;
+          this._glassCollection.on('change:waterVolume', this.onGlassWaterChange, this);
+          this._glassCollection.on('change:profile', this.onGlassProfileChange, this);
+          this._glassCollection.on('change:size', this.onGlassSizeChange, this);
+          this._glassCollection.on('change:playing', this.onGlassPlayingChange, this);
+          this._glassCollection.on('select', this.onGlassSelect, this);
+          this._glassCollection.on('select reset', this.updateAuthorControls, this);
+          this._glassCollection.on('change:waterVolume change:formula change:size change:playing select', this.scheduleSave, this);
+        }
+        return this._glassCollection;
+      };
+
+      Main.prototype.glassModel = function() {
+        return this.glassCollection().selected();
+      };
+
+      Main.prototype.glassConfig = function(model) {
+        if (model == null) {
+          model = this.glassModel();
+        }
+        return this.properties.glasses[this.glassCollection().indexOf(model)];
+      };
+
+      Main.presets = presets;
+
+      Main.WavRenderer = WavRenderer;
+
+      Main.MidiFile = MidiFile;
+
+      Main.prototype.defaultPreset = 'wine glass';
+
+      Main.prototype.glassDefaults = {
+        waterVolume: 0
+      };
+
+      Main.prototype.maxGlassCount = 12;
+
+      Main.prototype.normalizeGlassSettings = function() {
+        var key, value, _ref;
+        if (!_.has(GlassModel.prototype.pitchModels, this.properties.pitchModel)) {
+          this.properties.pitchModel = GlassModel.prototype.defaults.pitchModel;
+        }
+        if (!_.contains(GlassModel.prototype.volumeModes, this.properties.volumeMode)) {
+          this.properties.volumeMode = GlassModel.prototype.defaults.volumeMode;
+        }
+        _ref = _.omit(GlassModel.prototype.defaults, 'pitchModel', 'volumeMode');
+        for (key in _ref) {
+          value = _ref[key];
+          this.properties[key] = parseFloat(this.properties[key]);
+          if (!(this.properties[key] > 0)) {
+            this.properties[key] = value;
+          }
+        }
+      };
+
+      Main.prototype.baseFrequencyRange = [20, 5000];
+
+      Main.prototype.massPerVolumeRange = [0.0001, 1];
+
+      Main.prototype.numberField = function(range, step) {
+        if (range == null) {
+          return {
+            type: 'Number',
+            min: 0,
+            validators: ['required', 'number']
+          };
+        }
+        return {
+          type: 'Number',
+          min: range[0],
+          max: range[1],
+          step: step != null ? step : 1,
+          validators: [
+            'number', function(value) {
+              if ((value != null) && value !== '' && !(value >= range[0] && value <= range[1])) {
+                return {
+                  type: 'range',
+                  message: "Must be between " + range[0] + " and " + range[1]
+                };
+              }
+            }
+          ]
+        };
+      };
+
+      Main.prototype.optionalNumber = function(value, range) {
+        value = parseFloat(value);
+        if (value >= range[0] && value <= range[1]) {
+          return value;
+        } else {
+          return null;
+        }
+      };
+
+      Main.prototype.normalizeAuthorSettings = function() {
+        this.properties.baseFrequency = this.optionalNumber(this.properties.baseFrequency, this.baseFrequencyRange);
+        this.properties.massPerVolume = this.optionalNumber(this.properties.massPerVolume, this.massPerVolumeRange);
+        this.properties.glassSize = clamp(this.glassSizeRange[0], this.glassSizeRange[1], Math.round(parseFloat(this.properties.glassSize)) || this.glassSizeRange[1]);
+        if (!_.contains(GlassModel.prototype.waterColorModes, this.properties.waterColorMode)) {
+          this.properties.waterColorMode = GlassModel.prototype.waterColorModes[0];
+        }
+        if (_.isArray(this.properties.readouts)) {
+          this.properties.readouts = _.intersection(GlassModel.prototype.readouts, this.properties.readouts);
+        } else {
+          this.properties.readouts = GlassModel.prototype.readouts.slice(0);
+        }
+        return this.properties.locked = !!this.properties.locked;
+      };
+
+      Main.prototype.glassWidth = function(count) {
+        return Math.min(300, Math.floor(720 / count));
+      };
+
+      Main.prototype.glassPreset = function() {
+        return presets.get(this.properties.preset);
+      };
+
+      Main.prototype.glassSizeRange = [50, 100];
+
+      Main.prototype.glassSize = function(config, count) {
+        var scale;
+        scale = config.size * this.properties.glassSize / 100;
+        return {
+          width: Math.round(this.glassWidth(count) * scale),
+          height: Math.round(300 * scale)
+        };
+      };
+
+      Main.prototype.glassAttributes = function(config, count) {
+        var preset, size, width, _ref, _ref1, _ref2, _ref3;
+        width = this.glassWidth(count);
+        preset = this.glassPreset();
+        size = this.glassSize(config, count);
+        return {
+          gadgetWidth: Math.round(width * 4 / 3),
           gadgetHeight: 400,
-          width: 300,
-          height: 300,
-          waterVolume: 0,
-          massPerVolume: 0.007,
-          baseFrequency: 880,
-          borderColor: '#222222',
-          formula: this.makeFormula(this.wineFraction),
-          wobbleFormula: function(y) {
-            return 0.02 / (1 + Math.exp(1 - 10 * y));
+          size: config.size,
+          playing: !!config.playing,
+          width: size.width,
+          height: size.height,
+          waterVolume: config.waterVolume,
+          massPerVolume: (_ref = (_ref1 = config.massPerVolume) != null ? _ref1 : this.properties.massPerVolume) != null ? _ref : preset.massPerVolume,
+          baseFrequency: (_ref2 = (_ref3 = config.baseFrequency) != null ? _ref3 : this.properties.baseFrequency) != null ? _ref2 : preset.baseFrequency,
+          pitchModel: this.properties.pitchModel,
+          glassRadius: this.properties.glassRadius,
+          glassWallThickness: this.properties.glassWallThickness,
+          glassDensity: this.properties.glassDensity,
+          fluidDensity: this.properties.fluidDensity,
+          volumeMode: this.properties.volumeMode,
+          pixelsPerCentimetre: this.properties.pixelsPerCentimetre,
+          borderColor: this.properties.borderColor,
+          waterColorMode: this.properties.waterColorMode,
+          readouts: this.properties.readouts,
+          locked: this.properties.locked && !this.editable,
+          targetNote: config.targetNote,
+          profile: config.profile,
+          formula: this.glassFormula(config),
+          wobbleFormula: preset.wobbleFormula
+        };
+      };
+
+      Main.prototype.applyPreset = function(changed) {
+        var config, keepProfiles, _i, _len, _ref, _results;
+        if (!_.contains(changed, 'baseFrequency')) {
+          this.properties.baseFrequency = null;
+        }
+        if (!_.contains(changed, 'massPerVolume')) {
+          this.properties.massPerVolume = null;
+        }
+        keepProfiles = _.some(this.properties.glasses, function(config) {
+          return config.profile != null;
+        }) && !window.confirm('Switching the preset replaces the hand-edited glass shapes. Replace them?');
+        _ref = this.properties.glasses;
+        _results = [];
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          config = _ref[_i];
+          if (!keepProfiles) {
+            config.profile = null;
+          }
+          delete config.baseFrequency;
+          _results.push(delete config.massPerVolume);
+        }
+        return _results;
+      };
+
+      Main.prototype.normalizeGlasses = function() {
+        var count, glasses, _base, _ref,
+          _this = this;
+        glasses = _.isArray(this.properties.glasses) ? this.properties.glasses : [];
+        if ((_ref = (_base = this.properties).glassCount) == null) {
+          _base.glassCount = glasses.length || 1;
+        }
+        count = clamp(1, this.maxGlassCount, Math.round(this.properties.glassCount));
+        glasses = glasses.slice(0, count);
+        while (glasses.length < count) {
+          glasses.push({});
+        }
+        this.properties.glassCount = count;
+        return this.properties.glasses = _.map(glasses, function(config) {
+          if (!(_.isArray(config.profile) && config.profile.length === ShapeEditorView.prototype.profileHeights.length)) {
+            config.profile = null;
+          }
+          config.size = clamp(GlassView.prototype.minSize, 1, parseFloat(config.size) || 1);
+          if (GlassModel.prototype.noteNameNumber(config.targetNote) == null) {
+            config.targetNote = null;
+          }
+          return _.defaults(config, {
+            winePercentage: _this.properties.winePercentage
+          }, _this.glassDefaults);
+        });
+      };
+
+      Main.prototype.trackedSettings = ['winePercentage', 'preset', 'baseFrequency', 'massPerVolume'];
+
+      Main.prototype.changedSettings = function() {
+        var previous,
+          _this = this;
+        previous = this.previousSettings;
+        this.previousSettings = _.pick(this.properties, this.trackedSettings);
+        if (previous == null) {
+          return [];
+        }
+        return _.filter(this.trackedSettings, function(key) {
+          return !_.isEqual(previous[key], _this.previousSettings[key]);
+        });
+      };
+
+      Main.prototype.applyWinePercentage = function(winePercentage) {
+        var config, _i, _len, _ref, _results;
+        _ref = this.properties.glasses;
+        _results = [];
+        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+          config = _ref[_i];
+          config.winePercentage = winePercentage;
+          _results.push(config.profile = null);
+        }
+        return _results;
+      };
+
+      Main.prototype.updateGlasses = function() {
+        var attributes, collection, config,
+          _this = this;
+        collection = this.glassCollection();
+        if ((this._sequencer != null) && collection.length !== this.properties.glasses.length) {
+          this._sequencer.stop();
+        }
+        attributes = (function() {
+          var _i, _len, _ref, _results;
+          _ref = this.properties.glasses;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            config = _ref[_i];
+            _results.push(this.glassAttributes(config, _ref.length));
           }
+          return _results;
+        }).call(this);
+        if (collection.length !== attributes.length) {
+          return collection.reset(attributes);
+        } else {
+          return collection.each(function(model, index) {
+            return model.set(attributes[index]);
+          });
+        }
+      };
+
+      Main.prototype.setWinePercentage = function(winePercentage, model) {
+        var config;
+        if (model == null) {
+          model = this.glassModel();
+        }
+        config = this.glassConfig(model);
+        config.winePercentage = winePercentage;
+        config.profile = null;
+        return model.set({
+          profile: null,
+          formula: this.glassFormula(config)
         });
       };
 
-      Main.prototype.makeFormula = function(wineFraction) {
+      Main.prototype.onGlassProfileChange = function(model, profile) {
+        var config;
+        config = this.glassConfig(model);
+        if (config != null) {
+          config.profile = profile;
+          return model.set('formula', this.glassFormula(config));
+        }
+      };
+
+      Main.prototype.onGlassSizeChange = function(model, size) {
+        var config, _ref;
+        config = this.glassConfig(model);
+        if (config != null) {
+          config.size = size;
+          _ref = this.glassSize(config, this.glassCollection().length);
+          if (!(model.get('width') === _ref.width && model.get('height') === _ref.height)) {
+            return model.resize(_ref.width, _ref.height);
+          }
+        }
+      };
+
+      Main.prototype.onGlassPlayingChange = function(model, playing) {
+        var config;
+        config = this.glassConfig(model);
+        if (config != null) {
+          return config.playing = playing;
+        }
+      };
+
+      Main.prototype.onGlassSelect = function(model) {
+        return this.properties.selectedGlass = this.glassCollection().indexOf(model);
+      };
+
+      Main.prototype.onGlassWaterChange = function(model, waterVolume) {
+        var config;
+        config = this.glassConfig(model);
+        if (config != null) {
+          return config.waterVolume = waterVolume;
+        }
+      };
+
+      Main.prototype.glassFormula = function(config) {
+        if (config.profile != null) {
+          return this.makeProfileFormula(config.profile);
+        } else {
+          return this.makeFormula(config.winePercentage / 100, this.glassPreset().formula);
+        }
+      };
+
+      Main.prototype.makeProfileFormula = function(profile) {
+        var segments;
+        segments = profile.length - 1;
+        return function(y) {
+          var index, p0, p1, p2, p3, t;
+          y = clamp(0, 1, y) * segments;
+          index = Math.min(segments - 1, Math.floor(y));
+          t = y - index;
+          p0 = profile[Math.max(0, index - 1)];
+          p1 = profile[index];
+          p2 = profile[index + 1];
+          p3 = profile[Math.min(segments, index + 2)];
+          return Math.max(0, 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t + (3 * p1 - p0 - 3 * p2 + p3) * t * t * t));
+        };
+      };
+
+      Main.prototype.makeFormula = function(wineFraction, shape) {
+        if (shape == null) {
+          shape = presets.get(this.defaultPreset).formula;
+        }
         return function(y) {
-          var wineshape;
-          wineshape = Math.log(y * 1.2 + 0.01) / Math.log(10) / 2 + 1 - y * 1.2 * y * 1.2 / 5;
-          return wineshape * wineFraction + (1 - wineFraction) * 0.5;
+          return shape(y) * wineFraction + (1 - wineFraction) * 0.5;
         };
       };
 
-      Main.prototype.onConfigure = function(editable) {};
+      Main.prototype.onConfigure = function(editable) {
+        this.editable = !!editable;
+        if (!this.editable) {
+          this.glassCollection().invoke('set', 'editingShape', false);
+        }
+        this.updateGlasses();
+        return this.updateAuthorControls();
+      };
 
       Main.prototype.clearInterval = function() {
         if (this.formulaInterval != null) {
@@ -1135,21 +3885,74 @@
         }
       };
 
+      Main.prototype.saveDelay = 500;
+
+      Main.prototype.save = function() {
+        this.properties.schemaVersion = this.schemaVersion;
+        return this.facade.trigger("save", this.properties);
+      };
+
+      Main.prototype.schemaVersion = 2;
+
+      Main.prototype.migrations = {
+        1: function(properties) {
+          if (!_.isArray(properties.glasses)) {
+            return properties.glasses = [
+              {
+                winePercentage: properties.winePercentage
+              }
+            ];
+          }
+        }
+      };
+
+      Main.prototype.migrate = function(properties) {
+        var version, _base, _ref;
+        version = (_ref = properties.schemaVersion) != null ? _ref : 1;
+        while (version < this.schemaVersion) {
+          if (typeof (_base = this.migrations)[version] === "function") {
+            _base[version](properties);
+          }
+          version++;
+        }
+        return properties.schemaVersion = this.schemaVersion;
+      };
+
+      Main.prototype.restoreSelection = function() {
+        var collection;
+        collection = this.glassCollection();
+        collection.selectedIndex = clamp(0, collection.length - 1, Math.round(this.properties.selectedGlass) || 0);
+        this.properties.selectedGlass = collection.selectedIndex;
+        return collection.trigger('select', collection.selected());
+      };
+
       Main.prototype.onConfigurationChange = function(properties) {
-        var _base, _base1, _base2, _ref, _ref1;
+        var changed, _base, _base1, _ref;
         this.properties = properties;
+        this.migrate(this.properties);
         if ((_ref = (_base = this.properties).winePercentage) == null) {
           _base.winePercentage = 100;
         }
-        if ((_ref1 = (_base1 = this.properties).someBoolean) == null) {
-          _base1.someBoolean = false;
-        }
         if (typeof this.properties.borderColor !== 'string') {
           this.properties.borderColor = null;
         }
-        (_base2 = this.properties).borderColor || (_base2.borderColor = '#222222');
-        this.glassModel().set('formula', this.makeFormula(this.properties.winePercentage / 100));
-        return this.glassModel().set('borderColor', this.properties.borderColor);
+        (_base1 = this.properties).borderColor || (_base1.borderColor = '#222222');
+        if (!presets.has(this.properties.preset)) {
+          this.properties.preset = this.defaultPreset;
+        }
+        this.normalizeGlassSettings();
+        this.normalizeAuthorSettings();
+        this.normalizeGlasses();
+        changed = this.changedSettings();
+        if (_.contains(changed, 'winePercentage')) {
+          this.applyWinePercentage(this.properties.winePercentage);
+        }
+        if (_.contains(changed, 'preset')) {
+          this.applyPreset(changed);
+        }
+        this.updateGlasses();
+        this.restoreSelection();
+        return this.updateAuthorControls();
       };
 
       return Main;
@@ -1,4 +1,4 @@
-define(["underscore", "backbone", "text!sdk/toolbar.html"], function(_, Backbone, toolbarTemplate) {
+define(["jquery", "underscore", "backbone", "text!sdk/toolbar.html"], function($, _, Backbone, toolbarTemplate) {
   var Player = function() {
     this.facade = _.extend({}, Backbone.Events);
 
@@ -6,7 +6,22 @@ define(["underscore", "backbone", "text!sdk/toolbar.html"], function(_, Backbone
   };
 
   Player.prototype.start = function() {
+    this.renderToolbar();
     this.facade.trigger("render");
+    this.facade.trigger("configure", this.editable);
+  };
+
+  // The toolbar switches between viewing the gadget as a learner and as an author.
+  Player.prototype.renderToolbar = function() {
+    this.$toolbar = $('<div class="player-toolbar"></div>').html(toolbarTemplate);
+    $('body').prepend(this.$toolbar);
+    this.editable = this.$toolbar.find('.js-toggle-edit:checked').val() === 'true';
+    this.$toolbar.on('change', '.js-toggle-edit', _.bind(this.onToggleEdit, this));
+  };
+
+  Player.prototype.onToggleEdit = function(event) {
+    this.editable = $(event.target).val() === 'true';
+    this.facade.trigger("configure", this.editable);
   };
 
   Player.prototype.debug = function() {